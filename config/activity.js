@@ -0,0 +1,16 @@
+// The per-job activity timeline: notes and emails the user logs, and events
+// recorded automatically as the job changes
+
+const ACTIVITY_TYPES = ['note', 'status-change', 'interview-added', 'attachment-uploaded', 'email-sent', 'merged'];
+
+// Types the user can add by hand; the rest are only recorded by the app
+const MANUAL_ACTIVITY_TYPES = ['note', 'email-sent'];
+
+// Maximum number of activities returned per page
+const MAX_ACTIVITY_PAGE = 100;
+
+module.exports = {
+  ACTIVITY_TYPES,
+  MANUAL_ACTIVITY_TYPES,
+  MAX_ACTIVITY_PAGE
+};
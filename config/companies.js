@@ -0,0 +1,11 @@
+// Limits and choices for the companies jobs are filed under
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+'];
+
+// Maximum number of other names a company can be matched on
+const MAX_ALIASES = 20;
+
+module.exports = {
+  COMPANY_SIZES,
+  MAX_ALIASES
+};
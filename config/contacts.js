@@ -0,0 +1,14 @@
+// Networking contacts: who they are to the job search and how they were reached
+
+const CONTACT_ROLES = ['recruiter', 'hiring-manager', 'referrer', 'interviewer', 'peer', 'other'];
+
+const INTERACTION_TYPES = ['email', 'call', 'meeting', 'coffee-chat', 'message', 'other'];
+
+// Maximum number of interactions kept on a single contact
+const MAX_INTERACTIONS = 500;
+
+module.exports = {
+  CONTACT_ROLES,
+  INTERACTION_TYPES,
+  MAX_INTERACTIONS
+};
@@ -0,0 +1,77 @@
+// Exchange rates used to compare salaries across currencies. Maintained by
+// hand rather than fetched from a live FX service: the figures only need to be
+// close enough to rank pay, so update them every few months.
+const BASE_CURRENCY = 'USD';
+
+// Date the table was last updated
+const RATES_UPDATED_AT = '2026-10-01';
+
+// Value of one unit of each currency in the base currency
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CAD: 0.73,
+  AUD: 0.66,
+  NZD: 0.6,
+  CHF: 1.12,
+  JPY: 0.0067,
+  INR: 0.012,
+  SGD: 0.74,
+  SEK: 0.095,
+  NOK: 0.093,
+  DKK: 0.145,
+  PLN: 0.25,
+  BRL: 0.18,
+  MXN: 0.055,
+  ZAR: 0.055
+};
+
+// Allow rates to be added or corrected with a JSON object, e.g.
+// EXCHANGE_RATES='{"EUR":1.1,"HKD":0.128}'
+const loadRates = () => {
+  const rates = { ...DEFAULT_RATES };
+
+  if (!process.env.EXCHANGE_RATES) return rates;
+
+  try {
+    const overrides = JSON.parse(process.env.EXCHANGE_RATES);
+
+    Object.entries(overrides).forEach(([currency, rate]) => {
+      if (!/^[A-Z]{3}$/.test(currency) || !(typeof rate === 'number' && rate > 0)) {
+        throw new Error(`Invalid exchange rate for "${currency}"`);
+      }
+      rates[currency] = rate;
+    });
+  } catch (error) {
+    console.error('❌ Ignoring EXCHANGE_RATES:', error.message);
+    return { ...DEFAULT_RATES };
+  }
+
+  rates[BASE_CURRENCY] = 1;
+  return rates;
+};
+
+const EXCHANGE_RATES = loadRates();
+
+const SUPPORTED_CURRENCIES = Object.keys(EXCHANGE_RATES);
+
+// Convert an amount between two currencies; null when either rate is unknown
+const convertCurrency = (amount, from, to) => {
+  if (amount == null) return null;
+  if (from === to) return amount;
+
+  const fromRate = EXCHANGE_RATES[from];
+  const toRate = EXCHANGE_RATES[to];
+  if (!fromRate || !toRate) return null;
+
+  return amount * fromRate / toRate;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  RATES_UPDATED_AT,
+  EXCHANGE_RATES,
+  SUPPORTED_CURRENCIES,
+  convertCurrency
+};
@@ -0,0 +1,6 @@
+// Fields the job list and export can be sorted by ("relevance" needs a search)
+const SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'applicationDate', 'followUpDate', 'nextInterview', 'salary', 'title', 'company'];
+
+module.exports = {
+  SORT_FIELDS
+};
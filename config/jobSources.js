@@ -0,0 +1,16 @@
+// Where an application came from, for source attribution analytics
+
+const JOB_SOURCES = [
+  'job-board',
+  'referral',
+  'recruiter-outreach',
+  'company-site',
+  'networking',
+  'career-fair',
+  'social-media',
+  'other'
+];
+
+module.exports = {
+  JOB_SOURCES
+};
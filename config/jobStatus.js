@@ -0,0 +1,74 @@
+// Application pipeline statuses and the moves allowed between them.
+// Users can define their own stages, but each one maps onto one of these
+// categories, which is what the transition rules and analytics work on.
+const JOB_STATUSES = ['applied', 'interviewing', 'offered', 'rejected', 'withdrawn'];
+
+// Pipeline used until a user defines their own stages
+const DEFAULT_PIPELINE = JOB_STATUSES.map(status => ({
+  key: status,
+  name: status.charAt(0).toUpperCase() + status.slice(1),
+  category: status
+}));
+
+// Closed applications can only move again through an explicit reopen
+const CLOSED_STATUSES = ['rejected', 'withdrawn'];
+
+const DEFAULT_TRANSITIONS = {
+  applied: ['interviewing', 'offered', 'rejected', 'withdrawn'],
+  interviewing: ['offered', 'rejected', 'withdrawn'],
+  offered: ['rejected', 'withdrawn'],
+  rejected: [],
+  withdrawn: []
+};
+
+// Allow the transition map to be overridden with a JSON object, e.g.
+// JOB_STATUS_TRANSITIONS='{"offered":["interviewing","rejected","withdrawn"]}'
+const loadTransitions = () => {
+  const transitions = { ...DEFAULT_TRANSITIONS };
+
+  if (!process.env.JOB_STATUS_TRANSITIONS) return transitions;
+
+  try {
+    const overrides = JSON.parse(process.env.JOB_STATUS_TRANSITIONS);
+
+    Object.entries(overrides).forEach(([from, targets]) => {
+      if (!JOB_STATUSES.includes(from) || !Array.isArray(targets)) {
+        throw new Error(`Invalid transition entry for "${from}"`);
+      }
+      transitions[from] = targets.filter(target => JOB_STATUSES.includes(target) && target !== from);
+    });
+  } catch (error) {
+    console.error('❌ Ignoring JOB_STATUS_TRANSITIONS:', error.message);
+    return { ...DEFAULT_TRANSITIONS };
+  }
+
+  return transitions;
+};
+
+const STATUS_TRANSITIONS = loadTransitions();
+
+const isClosedStatus = (status) => CLOSED_STATUSES.includes(status);
+
+const canTransition = (from, to) => {
+  if (from === to) return true;
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Turn a stage name into a stable key, e.g. "Recruiter screen" -> "recruiter-screen"
+const toStageKey = (name) => name
+  .toString()
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50);
+
+module.exports = {
+  JOB_STATUSES,
+  DEFAULT_PIPELINE,
+  CLOSED_STATUSES,
+  STATUS_TRANSITIONS,
+  isClosedStatus,
+  canTransition,
+  toStageKey
+};
@@ -0,0 +1,15 @@
+// Job offer statuses and the ratings a user can give an offer
+
+const OFFER_STATUSES = ['pending', 'negotiating', 'accepted', 'declined'];
+
+// Offers still on the table (unless past their deadline)
+const ACTIVE_OFFER_STATUSES = ['pending', 'negotiating', 'accepted'];
+
+// Personal 1-5 ratings the user can give an offer
+const OFFER_RATINGS = ['culture', 'growth', 'workLifeBalance', 'location'];
+
+module.exports = {
+  OFFER_STATUSES,
+  ACTIVE_OFFER_STATUSES,
+  OFFER_RATINGS
+};
@@ -0,0 +1,16 @@
+// Limits on per-application tasks and the stage checklists that seed them
+
+// Maximum number of tasks on a single job
+const MAX_TASKS_PER_JOB = 100;
+
+// Maximum number of items in one stage checklist
+const MAX_CHECKLIST_ITEMS = 20;
+
+// Furthest ahead a checklist item can be due, in days after entering the stage
+const MAX_DUE_IN_DAYS = 365;
+
+module.exports = {
+  MAX_TASKS_PER_JOB,
+  MAX_CHECKLIST_ITEMS,
+  MAX_DUE_IN_DAYS
+};
@@ -0,0 +1,89 @@
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('./error');
+
+const DOCUMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.txt': ['text/plain'],
+  '.rtf': ['application/rtf', 'text/rtf'],
+  '.odt': ['application/vnd.oasis.opendocument.text']
+};
+
+const IMAGE_TYPES = {
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg']
+};
+
+// Build a file filter from a map of allowed extension -> MIME types.
+// Both the extension and the reported MIME type must match.
+const fileFilter = (allowedTypes) => (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const mimetypes = allowedTypes[extension];
+
+  if (mimetypes && mimetypes.includes(file.mimetype)) {
+    return cb(null, true);
+  }
+
+  cb(new AppError(`Unsupported file type. Allowed: ${Object.keys(allowedTypes).join(', ')}`, 400));
+};
+
+// CSV spreadsheets for job imports (kept in memory, never stored)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: fileFilter({
+    '.csv': ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream']
+  })
+});
+
+// Resumes, handed to the storage adapter after upload
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: fileFilter({
+    '.pdf': DOCUMENT_TYPES['.pdf'],
+    '.doc': DOCUMENT_TYPES['.doc'],
+    '.docx': DOCUMENT_TYPES['.docx']
+  })
+});
+
+// Job attachments such as cover letters and offer letters
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+  fileFilter: fileFilter({ ...DOCUMENT_TYPES, ...IMAGE_TYPES })
+});
+
+// Calendar invites for interview imports (kept in memory, never stored)
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+  fileFilter: fileFilter({
+    '.ics': ['text/calendar', 'application/ics', 'text/plain', 'application/octet-stream']
+  })
+});
+
+// Wrap a multer middleware so its errors surface as AppErrors
+const handleUpload = (uploader) => (req, res, next) => {
+  uploader(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+      return next(new AppError(message, 400));
+    }
+
+    next(err);
+  });
+};
+
+module.exports = {
+  csvUpload,
+  resumeUpload,
+  attachmentUpload,
+  icsUpload,
+  handleUpload
+};
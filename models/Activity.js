@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('../config/activity');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../services/pageCursor');
+
+// Newest first; _id breaks ties between activities logged at the same time
+const SORT_KEYS = [
+  { field: 'occurredAt', dir: -1 },
+  { field: '_id', dir: -1 }
+];
+
+// One entry in a job's append-only activity timeline
+const activitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  summary: {
+    type: String,
+    required: [true, 'Activity summary is required'],
+    trim: true,
+    maxlength: [2000, 'Activity summary cannot exceed 2000 characters']
+  },
+  // Type-specific data, e.g. the from/to statuses of a status change
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+activitySchema.index({ user: 1, occurredAt: -1, _id: -1 });
+activitySchema.index({ job: 1, occurredAt: -1, _id: -1 });
+
+// Static method to load one page of activities, newest first. Pass the
+// nextCursor of the previous page as cursor to continue.
+activitySchema.statics.findPage = async function(filter, { limit = 20, cursor } = {}) {
+  const query = cursor
+    ? { ...filter, $and: [buildCursorFilter(SORT_KEYS, decodeCursor(SORT_KEYS, cursor))] }
+    : filter;
+
+  const activities = await this.find(query)
+    .sort({ occurredAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('job', 'title company status');
+
+  const page = activities.slice(0, limit);
+
+  return {
+    activities: page,
+    nextCursor: activities.length > limit ? encodeCursor(SORT_KEYS, page[page.length - 1]) : null
+  };
+};
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/error');
+const { COMPANY_SIZES, MAX_ALIASES } = require('../config/companies');
+const { toMatchKeys } = require('../services/companyService');
+
+const companySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  // Other names jobs may use for the company, e.g. "Alphabet" for Google
+  aliases: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Alias cannot exceed 100 characters']
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_ALIASES;
+      },
+      message: `A company can have at most ${MAX_ALIASES} aliases`
+    }
+  },
+  website: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Allow empty
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid website URL'
+    }
+  },
+  size: {
+    type: String,
+    enum: COMPANY_SIZES
+  },
+  industry: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Industry cannot exceed 100 characters']
+  },
+  researchNotes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Research notes cannot exceed 5000 characters']
+  },
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  // Derived: normalized name and aliases, used to match job company names
+  matchKeys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A name or alias can only point at one of a user's companies
+companySchema.index({ user: 1, matchKeys: 1 }, { unique: true });
+companySchema.index({ user: 1, name: 1 });
+
+// Virtual for the number of jobs at the company
+companySchema.virtual('jobCount', {
+  ref: 'Job',
+  localField: '_id',
+  foreignField: 'companyId',
+  count: true
+});
+
+companySchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('aliases') || !this.matchKeys || this.matchKeys.length === 0) {
+    this.matchKeys = toMatchKeys([this.name, ...this.aliases]);
+  }
+  // Without a key the company can't be matched, and a second one would clash
+  // on the unique index
+  if (this.matchKeys.length === 0) {
+    return next(new AppError('Company name must contain letters or numbers', 400));
+  }
+  next();
+});
+
+// Static method to find the user's company a name or alias belongs to
+companySchema.statics.findByName = function(userId, name) {
+  const [key] = toMatchKeys([name]);
+  if (!key) return Promise.resolve(null);
+
+  return this.findOne({ user: userId, matchKeys: key });
+};
+
+// Static method to find the company for a job's company name, creating it on
+// first use
+companySchema.statics.resolve = async function(userId, name) {
+  if (toMatchKeys([name]).length === 0) return null;
+
+  const existing = await this.findByName(userId, name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ user: userId, name });
+  } catch (error) {
+    // Another job created it at the same time
+    if (error.code === 11000) {
+      return this.findByName(userId, name);
+    }
+    throw error;
+  }
+};
+
+// Static method to find which of the given names are already taken by
+// another of the user's companies
+companySchema.statics.findConflicts = async function(userId, names, excludeId) {
+  const keys = toMatchKeys(names);
+  if (keys.length === 0) return [];
+
+  const filter = { user: userId, matchKeys: { $in: keys } };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  return this.find(filter).select('name');
+};
+
+// Instance method to link the user's jobs whose company name matches this
+// company's name or aliases
+companySchema.methods.linkMatchingJobs = async function() {
+  const Job = mongoose.model('Job');
+  const keys = toMatchKeys([this.name, ...this.aliases]);
+
+  const jobs = await Job.find({ user: this.user, companyId: { $ne: this._id } })
+    .setOptions({ withDeleted: true })
+    .select('company')
+    .lean();
+  const ids = jobs
+    .filter(job => keys.includes(toMatchKeys([job.company])[0]))
+    .map(job => job._id);
+
+  if (ids.length > 0) {
+    await Job.updateMany({ _id: { $in: ids } }, { $set: { companyId: this._id } })
+      .setOptions({ withDeleted: true });
+  }
+
+  return ids.length;
+};
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { CONTACT_ROLES, INTERACTION_TYPES, MAX_INTERACTIONS } = require('../config/contacts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const contactSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Allow empty
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+      },
+      message: 'Please provide a valid email address'
+    }
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters']
+  },
+  role: {
+    type: String,
+    enum: CONTACT_ROLES,
+    default: 'other'
+  },
+  // Their job title, e.g. "Engineering Manager"
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  linkedinUrl: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Allow empty
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid URL'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  companies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  }],
+  jobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  interactions: [{
+    type: {
+      type: String,
+      enum: INTERACTION_TYPES,
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Interaction summary cannot exceed 1000 characters']
+    },
+    // The application the interaction was about
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    }
+  }],
+  // Derived: date of the latest interaction
+  lastContactedAt: {
+    type: Date,
+    default: null
+  },
+  followUpDate: Date,
+  // Schedule the next follow-up this many days after each interaction
+  followUpIntervalDays: {
+    type: Number,
+    min: [1, 'Follow-up interval must be at least 1 day'],
+    max: [365, 'Follow-up interval cannot exceed 365 days']
+  }
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ user: 1, name: 1 });
+contactSchema.index({ user: 1, jobs: 1 });
+contactSchema.index({ user: 1, companies: 1 });
+contactSchema.index({ user: 1, followUpDate: 1 });
+contactSchema.index({ user: 1, lastContactedAt: -1 });
+
+contactSchema.path('interactions').validate(function(v) {
+  return v.length <= MAX_INTERACTIONS;
+}, `A contact can have at most ${MAX_INTERACTIONS} interactions`);
+
+// Keep the interaction log in date order and lastContactedAt in step with it
+contactSchema.pre('save', function(next) {
+  if (this.isModified('interactions')) {
+    this.interactions.sort((a, b) => a.date - b.date);
+    const latest = this.interactions[this.interactions.length - 1];
+    this.lastContactedAt = latest ? latest.date : null;
+
+    // A follow-up date set in this same save wins over the derived one
+    if (latest && !this.isModified('followUpDate')) {
+      this.scheduleFollowUp(latest.date);
+    }
+  }
+  next();
+});
+
+// Instance method to update the follow-up after the latest interaction (does
+// not save). With a follow-up interval the next one is scheduled from it;
+// without one, a follow-up it answered is cleared.
+contactSchema.methods.scheduleFollowUp = function(contactedAt) {
+  if (this.followUpIntervalDays) {
+    this.followUpDate = new Date(contactedAt.getTime() + this.followUpIntervalDays * DAY_MS);
+  } else if (this.followUpDate && contactedAt >= this.followUpDate) {
+    this.followUpDate = undefined;
+  }
+  return this;
+};
+
+// Instance method to log an interaction (does not save). The follow-up is
+// rescheduled when the contact is saved.
+contactSchema.methods.logInteraction = function(interaction) {
+  this.interactions.push(interaction);
+  const added = this.interactions[this.interactions.length - 1];
+
+  this.linkJob(added.job);
+
+  return added;
+};
+
+// Instance method to link a job to the contact if it isn't already (does not save)
+contactSchema.methods.linkJob = function(jobId) {
+  if (jobId && !this.jobs.some(id => id.equals(jobId))) {
+    this.jobs.push(jobId);
+  }
+  return this;
+};
+
+// Static method to swap one linked job or company for another across a
+// user's contacts, e.g. after a merge
+contactSchema.statics.relink = async function(userId, field, fromId, toId, { keep = false } = {}) {
+  const filter = { user: userId, [field]: fromId };
+
+  if (toId) {
+    await this.updateMany(filter, { $addToSet: { [field]: toId } });
+  }
+  if (!keep) {
+    await this.updateMany(filter, { $pull: { [field]: fromId } });
+  }
+};
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -1,4 +1,103 @@
 const mongoose = require('mongoose');
+const { AppError } = require('../middleware/error');
+const { JOB_STATUSES, STATUS_TRANSITIONS, isClosedStatus, canTransition } = require('../config/jobStatus');
+const {
+  PAY_PERIODS,
+  DEFAULT_CURRENCY,
+  parseSalary,
+  annualize,
+  formatSalaryRange,
+  isBelowTarget
+} = require('../services/salaryService');
+const { OFFER_STATUSES, OFFER_RATINGS } = require('../config/offers');
+const { JOB_SOURCES } = require('../config/jobSources');
+const { toMatchKeys } = require('../services/companyService');
+const Company = require('./Company');
+const Activity = require('./Activity');
+const Task = require('./Task');
+
+const ratingField = {
+  type: Number,
+  min: [1, 'Ratings must be between 1 and 5'],
+  max: [5, 'Ratings must be between 1 and 5']
+};
+
+// The offer received for a job; amounts are in the offer's currency
+const offerSchema = new mongoose.Schema({
+  baseSalary: {
+    type: Number,
+    required: [true, 'Base salary is required'],
+    min: [0, 'Base salary cannot be negative']
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: DEFAULT_CURRENCY,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  period: {
+    type: String,
+    enum: PAY_PERIODS,
+    default: 'annual'
+  },
+  // Expected yearly bonus
+  annualBonus: {
+    type: Number,
+    min: [0, 'Bonus cannot be negative']
+  },
+  signOnBonus: {
+    type: Number,
+    min: [0, 'Sign-on bonus cannot be negative']
+  },
+  equity: {
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Equity description cannot exceed 200 characters']
+    },
+    // Estimated yearly value of the grant
+    annualValue: {
+      type: Number,
+      min: [0, 'Equity value cannot be negative']
+    }
+  },
+  benefits: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Benefit cannot exceed 100 characters']
+  }],
+  // Estimated yearly value of the benefits
+  benefitsValue: {
+    type: Number,
+    min: [0, 'Benefits value cannot be negative']
+  },
+  startDate: Date,
+  // Deadline for accepting the offer
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  ratings: OFFER_RATINGS.reduce((ratings, rating) => {
+    ratings[rating] = ratingField;
+    return ratings;
+  }, {}),
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Offer notes cannot exceed 1000 characters']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the deadline reminder email has gone out for the current deadline
+  deadlineReminderSentAt: Date
+}, {
+  timestamps: true
+});
 
 const jobSchema = new mongoose.Schema({
   user: {
@@ -18,6 +117,11 @@ const jobSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Company name cannot exceed 100 characters']
   },
+  // Canonical company the company name was matched to
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
   location: {
     type: String,
     trim: true,
@@ -26,14 +130,63 @@ const jobSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['applied', 'interviewing', 'offered', 'rejected', 'withdrawn'],
+    enum: JOB_STATUSES,
     default: 'applied'
   },
+  // Key of the user's pipeline stage; status holds the stage's category
+  stage: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Stage cannot exceed 50 characters']
+  },
+  // Pay as written in the posting; kept in sync with salaryRange
   salary: {
     type: String,
     trim: true,
     maxlength: [50, 'Salary cannot exceed 50 characters']
   },
+  salaryRange: {
+    min: {
+      type: Number,
+      min: [0, 'Minimum salary cannot be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Maximum salary cannot be negative'],
+      validate: {
+        validator: function(v) {
+          const min = this.get('salaryRange.min');
+          return v == null || min == null || v >= min;
+        },
+        message: 'Maximum salary cannot be less than the minimum'
+      }
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    period: {
+      type: String,
+      enum: PAY_PERIODS
+    },
+    // Yearly bonus in the same currency
+    bonus: {
+      type: Number,
+      min: [0, 'Bonus cannot be negative']
+    },
+    equity: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Equity cannot exceed 100 characters']
+    },
+    // Derived from min/max and period, for sorting and filtering across periods
+    annualMin: Number,
+    annualMax: Number,
+    // Derived: the range tops out under the user's preferences.salaryRange.min
+    belowTarget: Boolean
+  },
   description: {
     type: String,
     trim: true,
@@ -59,6 +212,22 @@ const jobSchema = new mongoose.Schema({
       message: 'Please provide a valid URL'
     }
   },
+  // Where the application came from
+  source: {
+    type: String,
+    enum: JOB_SOURCES
+  },
+  // e.g. the job board's name
+  sourceDetail: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source detail cannot exceed 100 characters']
+  },
+  // Contact who referred the user for the job
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
   contactPerson: {
     type: String,
     trim: true,
@@ -114,14 +283,98 @@ const jobSchema = new mongoose.Schema({
       type: String,
       enum: ['passed', 'failed', 'pending'],
       default: 'pending'
+    },
+    interviewers: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Interviewer name cannot exceed 100 characters']
+    }],
+    durationMinutes: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 minute'],
+      max: [1440, 'Duration cannot exceed 24 hours']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Interview location cannot exceed 200 characters']
+    },
+    meetingLink: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          if (!v) return true; // Allow empty
+          return /^https?:\/\/.+/.test(v);
+        },
+        message: 'Please provide a valid meeting link'
+      }
+    },
+    prepNotes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Prep notes cannot exceed 2000 characters']
+    },
+    // UID of the calendar invite this round was imported from
+    calendarUid: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Calendar UID cannot exceed 500 characters']
     }
   }],
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    fromStage: {
+      type: String,
+      default: null
+    },
+    toStage: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Status note cannot exceed 500 characters']
+    },
+    reopened: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Set when the job is archived; archived jobs are hidden from the default list
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the job is moved to the trash; purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  offer: {
+    type: offerSchema,
+    default: undefined
+  },
   attachments: [{
     filename: String,
     originalName: String,
     mimetype: String,
     size: Number,
     url: String,
+    category: {
+      type: String,
+      enum: ['resume', 'cover-letter', 'offer-letter', 'other'],
+      default: 'other'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -135,9 +388,79 @@ const jobSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 jobSchema.index({ user: 1, status: 1 });
+jobSchema.index({ user: 1, stage: 1 });
 jobSchema.index({ user: 1, applicationDate: -1 });
 jobSchema.index({ user: 1, company: 1 });
-jobSchema.index({ user: 1, title: 'text', company: 'text', description: 'text' });
+jobSchema.index({ user: 1, companyId: 1 });
+jobSchema.index({ user: 1, source: 1 });
+jobSchema.index({ user: 1, 'salaryRange.annualMax': -1 });
+jobSchema.index({ 'offer.status': 1, 'offer.expiresAt': 1 });
+// Full-text search index (a collection can only have one; see scripts/syncIndexes.js)
+jobSchema.index({
+  user: 1,
+  title: 'text',
+  company: 'text',
+  tags: 'text',
+  location: 'text',
+  description: 'text',
+  requirements: 'text',
+  notes: 'text'
+}, {
+  name: 'job_text_search',
+  weights: {
+    title: 10,
+    company: 8,
+    tags: 5,
+    location: 3,
+    description: 2,
+    requirements: 1,
+    notes: 1
+  }
+});
+jobSchema.index({ user: 1, deletedAt: 1 });
+jobSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Exclude trashed jobs from queries unless the filter asks for deletedAt or the
+// query is run with .setOptions({ withDeleted: true })
+const excludeTrashed = function() {
+  if (this.getOptions().withDeleted) return;
+
+  const filter = this.getFilter();
+  if (!Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+};
+
+jobSchema.pre([
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+], excludeTrashed);
+
+// Same for aggregations: merge into the leading $match (which must stay first
+// when it holds $text), or add one
+jobSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      first.$match.deletedAt = null;
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
 
 // Virtual for days since application
 jobSchema.virtual('daysSinceApplication').get(function() {
@@ -160,6 +483,28 @@ jobSchema.virtual('nextInterview').get(function() {
 
 // Pre-save middleware
 jobSchema.pre('save', function(next) {
+  // Jobs without a custom stage sit in the default stage for their status
+  if (!this.stage) {
+    this.stage = this.status;
+  }
+
+  // Seed the history with the initial status of a new application
+  if (this.isNew && this.statusHistory.length === 0) {
+    const changedAt = this.applicationDate || new Date();
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      toStage: this.stage,
+      changedAt
+    });
+    this.logActivity('status-change', `Added as ${this.stage}`, { from: null, to: this.status, toStage: this.stage }, changedAt);
+  }
+
+  // Notes are overwritten on update, so each version is kept in the timeline
+  if (this.isModified('notes') && this.notes) {
+    this.logActivity('note', this.notes, { source: 'job-notes' });
+  }
+
   // Auto-update follow-up date if status is interviewing
   if (this.status === 'interviewing' && !this.followUpDate) {
     this.followUpDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
@@ -167,25 +512,358 @@ jobSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to update status
-jobSchema.methods.updateStatus = function(newStatus) {
+// Keep the salary text and the structured range in step, and refresh the
+// derived salary fields when either changes
+jobSchema.pre('save', async function() {
+  const textChanged = this.isModified('salary');
+  const rangeChanged = this.isModified('salaryRange.min') ||
+    this.isModified('salaryRange.max') ||
+    this.isModified('salaryRange.currency') ||
+    this.isModified('salaryRange.period');
+
+  if (!textChanged && !rangeChanged) return;
+
+  if (textChanged && !rangeChanged) {
+    // Parse the text; pay that can't be read (e.g. "Competitive") has no range
+    const parsed = parseSalary(this.salary) || {};
+    this.set('salaryRange.min', parsed.min);
+    this.set('salaryRange.max', parsed.max);
+    this.set('salaryRange.currency', parsed.currency);
+    this.set('salaryRange.period', parsed.period);
+  } else if (rangeChanged && !textChanged) {
+    this.salary = formatSalaryRange(this.salaryRange);
+  }
+
+  const range = this.salaryRange;
+  if (range.min != null || range.max != null) {
+    range.currency = range.currency || DEFAULT_CURRENCY;
+    range.period = range.period || 'annual';
+  }
+
+  const { annualMin, annualMax } = annualize(range);
+  range.annualMin = annualMin;
+  range.annualMax = annualMax;
+
+  const owner = await this.getOwner();
+  range.belowTarget = isBelowTarget(range, owner && owner.preferences && owner.preferences.salaryRange);
+});
+
+// Match the company name to one of the user's companies (by name or alias),
+// creating the company the first time it's seen. Only new jobs and renamed
+// companies are matched, so a job whose company was deleted stays unlinked
+// until a company with its name is added again.
+jobSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('company')) return;
+
+  // A name without letters or digits can't be matched to a company
+  if (toMatchKeys([this.company]).length === 0) {
+    this.companyId = undefined;
+    return;
+  }
+
+  const company = await Company.resolve(this.user, this.company);
+  this.companyId = company ? company._id : undefined;
+});
+
+// A job with a referrer came in through a referral unless said otherwise
+jobSchema.pre('save', function(next) {
+  if (this.referrer && !this.source) {
+    this.source = 'referral';
+  }
+  next();
+});
+
+// A new offer deadline gets its own reminder
+jobSchema.pre('save', function(next) {
+  if (this.offer && this.isModified('offer.expiresAt')) {
+    this.offer.deadlineReminderSentAt = undefined;
+  }
+  next();
+});
+
+// Note a job entering a stage, so the stage's checklist can be added once saved
+jobSchema.pre('save', function(next) {
+  this.$locals.enteredStage = this.isNew || this.isModified('stage') ? this.stage : null;
+  next();
+});
+
+// Add the checklist of the stage the job just entered as tasks
+jobSchema.post('save', async function() {
+  const stage = this.$locals.enteredStage;
+  if (!stage) return;
+
+  this.$locals.enteredStage = null;
+  try {
+    const owner = await this.getOwner();
+    if (owner) {
+      await Task.applyChecklist(this, owner.getChecklist(stage));
+    }
+  } catch (error) {
+    // The job itself is saved; the checklist can still be added by hand
+    console.error('❌ Error adding stage checklist:', error.message);
+  }
+});
+
+// Write the activities logged while the job was being changed
+jobSchema.post('save', async function() {
+  const activities = this.$locals.activities;
+  if (!activities || activities.length === 0) return;
+
+  this.$locals.activities = [];
+  try {
+    await Activity.insertMany(activities.map(activity => ({
+      ...activity,
+      user: this.user,
+      job: this._id
+    })));
+  } catch (error) {
+    // The job itself is saved; a missing timeline entry shouldn't fail the request
+    console.error('❌ Error recording job activity:', error.message);
+  }
+});
+
+// Instance method to hand the job the user who owns it, so save hooks that
+// need the user's settings don't load it again
+jobSchema.methods.setOwner = function(owner) {
+  this.$locals.owner = owner;
+  return this;
+};
+
+// Instance method to get the job's owner: the one set with setOwner, else
+// loaded once and kept for later saves of this document
+jobSchema.methods.getOwner = async function() {
+  if (!this.$locals.owner) {
+    this.$locals.owner = await mongoose.model('User').findById(this.user).select('-password');
+  }
+  return this.$locals.owner;
+};
+
+// Instance method to add an entry to the job's activity timeline. It is
+// written when the job is next saved.
+jobSchema.methods.logActivity = function(type, summary, details, occurredAt = new Date()) {
+  this.$locals.activities = this.$locals.activities || [];
+  this.$locals.activities.push({ type, summary, details, occurredAt });
+  return this;
+};
+
+// Instance method to check whether the pipeline allows moving to a status
+jobSchema.methods.canTransitionTo = function(newStatus) {
+  return canTransition(this.status, newStatus);
+};
+
+// Instance method to change status and record the transition (does not save).
+// Pass options.stage to move to a specific pipeline stage within the status.
+jobSchema.methods.changeStatus = function(newStatus, note, options = {}) {
+  const currentStage = this.stage || this.status;
+  const newStage = options.stage || newStatus;
+
+  if (newStatus === this.status && newStage === currentStage) return this;
+
+  if (newStatus !== this.status && !options.reopen && !this.canTransitionTo(newStatus)) {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    const hint = isClosedStatus(this.status)
+      ? 'Reopen the application to move it again'
+      : `Allowed: ${allowed.join(', ') || 'none'}`;
+    throw new AppError(`Cannot change status from ${this.status} to ${newStatus}. ${hint}`, 409);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    fromStage: currentStage,
+    toStage: newStage,
+    changedAt: new Date(),
+    note,
+    reopened: Boolean(options.reopen)
+  });
+  this.logActivity(
+    'status-change',
+    `${options.reopen ? 'Reopened' : 'Moved'} from ${currentStage} to ${newStage}`,
+    { from: this.status, to: newStatus, fromStage: currentStage, toStage: newStage, note, reopened: Boolean(options.reopen) }
+  );
   this.status = newStatus;
-  this.updatedAt = new Date();
-  
+  this.stage = newStage;
+
   if (newStatus === 'interviewing' && !this.followUpDate) {
     this.followUpDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
   }
-  
+
+  return this;
+};
+
+// Instance method to update status
+jobSchema.methods.updateStatus = function(newStatus, note, options = {}) {
+  this.changeStatus(newStatus, note, options);
+  this.updatedAt = new Date();
+
   return this.save();
 };
 
-// Static method to get user's job statistics
-jobSchema.statics.getUserStats = function(userId) {
+// Instance method to reopen a rejected or withdrawn application.
+// target is a pipeline stage ({ key, category }); defaults to the last open stage.
+jobSchema.methods.reopen = function(reason, target) {
+  if (!isClosedStatus(this.status)) {
+    throw new AppError(`Only closed applications can be reopened (current status: ${this.status})`, 409);
+  }
+
+  if (!target) {
+    const lastOpen = [...this.statusHistory]
+      .sort((a, b) => b.changedAt - a.changedAt)
+      .find(entry => !isClosedStatus(entry.to));
+
+    target = lastOpen
+      ? { key: lastOpen.toStage || lastOpen.to, category: lastOpen.to }
+      : { key: 'applied', category: 'applied' };
+  }
+
+  if (isClosedStatus(target.category)) {
+    throw new AppError(`Cannot reopen an application as ${target.category}`, 409);
+  }
+
+  this.changeStatus(target.category, reason, { reopen: true, stage: target.key });
+  this.updatedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to move the job to the trash
+jobSchema.methods.softDelete = function() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Instance method to restore the job from the trash
+jobSchema.methods.restore = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
+// Fields copied from a merged job when this job leaves them empty
+const MERGE_FILL_FIELDS = [
+  'location', 'description', 'requirements', 'jobUrl',
+  'source', 'sourceDetail', 'referrer',
+  'contactPerson', 'contactEmail', 'contactPhone', 'followUpDate'
+];
+
+// Instance method to combine another job into this one (does not save either).
+// Interviews, tags and attachments are added, notes appended and empty fields
+// filled in. The source's attachments move here, so purging it keeps the files.
+jobSchema.methods.mergeFrom = function(source) {
+  if (source._id.equals(this._id)) {
+    throw new AppError('A job cannot be merged into itself', 400);
+  }
+
+  const notes = [this.notes, source.notes]
+    .filter(Boolean)
+    .filter((note, index, all) => all.indexOf(note) === index)
+    .join('\n\n');
+  if (notes.length > 1000) {
+    throw new AppError('Combined notes exceed 1000 characters; shorten them before merging', 400);
+  }
+  this.notes = notes || undefined;
+
+  MERGE_FILL_FIELDS.forEach(field => {
+    if (!this[field] && source[field]) {
+      this[field] = source[field];
+    }
+  });
+
+  // Take the salary text and range together so bonus and equity come along
+  if (!this.salary && source.salary) {
+    this.salary = source.salary;
+    this.salaryRange = source.toObject().salaryRange;
+  }
+
+  if (!this.offer && source.offer) {
+    this.offer = source.offer.toObject();
+  }
+
+  this.tags = [...new Set([...this.tags, ...source.tags])];
+
+  // Skip interviews already here, e.g. the same invite imported into both jobs
+  source.interviewDates.forEach(interview => {
+    const exists = this.interviewDates.some(existing =>
+      (interview.calendarUid && existing.calendarUid === interview.calendarUid) ||
+      (existing.date.getTime() === interview.date.getTime() && existing.type === interview.type)
+    );
+    if (!exists) {
+      this.interviewDates.push(interview.toObject());
+    }
+  });
+  this.interviewDates.sort((a, b) => a.date - b.date);
+
+  source.attachments.forEach(attachment => {
+    this.attachments.push(attachment.toObject());
+  });
+  source.attachments = [];
+
+  return this;
+};
+
+// Instance method to get when a trashed job will be purged
+jobSchema.methods.getPurgeDate = function(retentionDays) {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+};
+
+// Instance method to get the status timeline with time spent between changes
+jobSchema.methods.getStatusTimeline = function() {
+  const history = [...this.statusHistory].sort((a, b) => a.changedAt - b.changedAt);
+
+  return history.map((entry, index) => {
+    const previous = index > 0 ? history[index - 1] : null;
+    const daysSincePrevious = previous
+      ? Math.round(((entry.changedAt - previous.changedAt) / (1000 * 60 * 60 * 24)) * 100) / 100
+      : null;
+
+    return {
+      _id: entry._id,
+      from: entry.from,
+      to: entry.to,
+      fromStage: entry.fromStage,
+      toStage: entry.toStage || entry.to,
+      changedAt: entry.changedAt,
+      note: entry.note,
+      reopened: entry.reopened,
+      daysSincePrevious
+    };
+  });
+};
+
+// Static method to re-check every job's salary against a new target range
+jobSchema.statics.refreshSalaryFlags = async function(userId, target) {
+  const jobs = await this.find({ user: userId, 'salaryRange.annualMax': { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .select('salaryRange')
+    .lean();
+
+  const updates = jobs
+    .map(job => ({ job, belowTarget: isBelowTarget(job.salaryRange, target) }))
+    .filter(({ job, belowTarget }) => job.salaryRange.belowTarget !== belowTarget)
+    .map(({ job, belowTarget }) => ({
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { 'salaryRange.belowTarget': belowTarget } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+
+  return updates.length;
+};
+
+// Static method to get user's job statistics, optionally narrowed by a filter
+jobSchema.statics.getUserStats = function(userId, filter = {}) {
   return this.aggregate([
-    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $match: { ...filter, user: new mongoose.Types.ObjectId(userId) } },
     {
       $group: {
-        _id: '$status',
+        _id: {
+          status: '$status',
+          stage: { $ifNull: ['$stage', '$status'] }
+        },
         count: { $sum: 1 }
       }
     }
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { MAX_TASKS_PER_JOB } = require('../config/tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Turn a stage checklist into tasks for a job; items already on the job (by
+// title) are skipped, so re-entering a stage doesn't duplicate them
+const buildChecklistTasks = (checklist, job, existingTitles = [], now = new Date()) => {
+  const taken = new Set(existingTitles.map(title => title.toLowerCase()));
+
+  return checklist.items
+    .filter(item => !taken.has(item.title.toLowerCase()))
+    .map(item => ({
+      user: job.user,
+      job: job._id,
+      title: item.title,
+      dueDate: item.dueInDays != null ? new Date(now.getTime() + item.dueInDays * DAY_MS) : undefined,
+      stage: checklist.stage
+    }));
+};
+
+// A to-do item for one application, e.g. "Send thank-you note"
+const taskSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Task notes cannot exceed 1000 characters']
+  },
+  dueDate: Date,
+  // Set when the task is done; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Pipeline stage whose checklist created the task
+  stage: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Stage cannot exceed 50 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taskSchema.index({ user: 1, completedAt: 1, dueDate: 1 });
+taskSchema.index({ job: 1, dueDate: 1 });
+
+taskSchema.virtual('completed').get(function() {
+  return Boolean(this.completedAt);
+});
+
+// Static method to add a stage checklist's items to a job as tasks, up to
+// the per-job task limit
+taskSchema.statics.applyChecklist = async function(job, checklist) {
+  if (!checklist || checklist.items.length === 0) return [];
+
+  const [existingTitles, count] = await Promise.all([
+    this.distinct('title', { job: job._id }),
+    this.countDocuments({ job: job._id })
+  ]);
+  const tasks = buildChecklistTasks(checklist, job, existingTitles)
+    .slice(0, Math.max(MAX_TASKS_PER_JOB - count, 0));
+
+  return tasks.length > 0 ? this.insertMany(tasks) : [];
+};
+
+// Static method to move a merged job's tasks to the job it was merged into.
+// Titles already on the target are skipped and open tasks go first, up to the
+// per-job task limit; returns the number of tasks moved.
+taskSchema.statics.moveToJob = async function(source, target) {
+  const [tasks, existingTitles, count] = await Promise.all([
+    this.find({ job: source._id }).select('title completedAt').sort({ completedAt: 1, dueDate: 1 }).lean(),
+    this.distinct('title', { job: target._id }),
+    this.countDocuments({ job: target._id })
+  ]);
+
+  const taken = new Set(existingTitles.map(title => title.toLowerCase()));
+  const ids = tasks
+    .filter(task => {
+      const title = task.title.toLowerCase();
+      if (taken.has(title)) return false;
+      taken.add(title);
+      return true;
+    })
+    .slice(0, Math.max(MAX_TASKS_PER_JOB - count, 0))
+    .map(task => task._id);
+
+  if (ids.length > 0) {
+    await this.updateMany({ _id: { $in: ids } }, { $set: { job: target._id } });
+  }
+
+  return ids.length;
+};
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -2,6 +2,9 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { JOB_STATUSES, DEFAULT_PIPELINE } = require('../config/jobStatus');
+const { SORT_FIELDS } = require('../config/jobSort');
+const { MAX_DUE_IN_DAYS } = require('../config/tasks');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -115,8 +118,83 @@ const userSchema = new mongoose.Schema({
       }
     },
     locations: [String],
-    industries: [String]
+    industries: [String],
+    // Email a reminder as offer deadlines approach
+    offerReminders: {
+      type: Boolean,
+      default: true
+    }
   },
+  pipelineStages: [{
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Stage key cannot exceed 50 characters']
+    },
+    name: {
+      type: String,
+      required: [true, 'Stage name is required'],
+      trim: true,
+      maxlength: [50, 'Stage name cannot exceed 50 characters']
+    },
+    category: {
+      type: String,
+      required: true,
+      enum: JOB_STATUSES
+    }
+  }],
+  // Tasks added to a job when it enters a stage, e.g. "Send thank-you note"
+  // on entering an interview stage
+  checklistTemplates: [{
+    stage: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Stage key cannot exceed 50 characters']
+    },
+    items: [{
+      title: {
+        type: String,
+        required: [true, 'Checklist item title is required'],
+        trim: true,
+        maxlength: [200, 'Checklist item title cannot exceed 200 characters']
+      },
+      // Days after entering the stage the task is due; no due date when unset
+      dueInDays: {
+        type: Number,
+        min: [0, 'Due days cannot be negative'],
+        max: [MAX_DUE_IN_DAYS, `Due days cannot exceed ${MAX_DUE_IN_DAYS}`]
+      }
+    }]
+  }],
+  // Named job list queries (filter + sort) shown as smart lists
+  savedViews: [{
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: [50, 'View name cannot exceed 50 characters']
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    sortBy: {
+      type: String,
+      enum: SORT_FIELDS
+    },
+    sortOrder: {
+      type: String,
+      enum: ['asc', 'desc']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -132,7 +210,11 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
-  emailVerificationExpires: Date
+  emailVerificationExpires: Date,
+  calendarToken: {
+    type: String,
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -143,6 +225,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ 'preferences.locations': 1 });
 userSchema.index({ 'preferences.industries': 1 });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -217,6 +300,61 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Instance method to create a calendar feed token (replaces any previous one)
+userSchema.methods.createCalendarToken = function() {
+  const calendarToken = crypto.randomBytes(32).toString('hex');
+
+  this.calendarToken = crypto
+    .createHash('sha256')
+    .update(calendarToken)
+    .digest('hex');
+
+  return calendarToken;
+};
+
+// Instance method to get the user's ordered pipeline stages
+userSchema.methods.getPipeline = function() {
+  if (!this.pipelineStages || this.pipelineStages.length === 0) {
+    return DEFAULT_PIPELINE;
+  }
+
+  return this.pipelineStages.map(stage => ({
+    key: stage.key,
+    name: stage.name,
+    category: stage.category
+  }));
+};
+
+// Instance method to resolve a stage key or status category to a pipeline stage.
+// A category resolves to the first stage mapped onto it.
+userSchema.methods.resolveStage = function(value) {
+  if (!value) return null;
+
+  const pipeline = this.getPipeline();
+  const byKey = pipeline.find(stage => stage.key === value);
+  if (byKey) return byKey;
+
+  if (!JOB_STATUSES.includes(value)) return null;
+
+  return pipeline.find(stage => stage.category === value) ||
+    DEFAULT_PIPELINE.find(stage => stage.category === value);
+};
+
+// Instance method to get the checklist for a pipeline stage, if any
+userSchema.methods.getChecklist = function(stageKey) {
+  return (this.checklistTemplates || []).find(checklist => checklist.stage === stageKey) || null;
+};
+
+// Static method to find user by calendar feed token
+userSchema.statics.findByCalendarToken = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({ calendarToken: hashedToken, isActive: true });
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
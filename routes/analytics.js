@@ -1,9 +1,16 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const { query, validationResult } = require('express-validator');
 const Job = require('../models/Job');
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
 const { protect } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/error');
+const { JOB_STATUSES } = require('../config/jobStatus');
+const { BASE_CURRENCY, RATES_UPDATED_AT, SUPPORTED_CURRENCIES } = require('../config/exchangeRates');
+const { buildAnalyticsMatch, jobFilterValidators } = require('../services/jobFilters');
+const { reportCurrency } = require('../services/salaryService');
+const { RESPONSE_STATUSES } = require('../services/sourceService');
+const { buildSalaryReport } = require('../services/salaryReportService');
 
 const router = express.Router();
 
@@ -13,26 +20,42 @@ router.use(protect);
 // @desc    Get job statistics
 // @route   GET /api/analytics/stats
 // @access  Private
-router.get('/stats', asyncHandler(async (req, res) => {
+router.get('/stats', jobFilterValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   try {
     console.log(`🔍 Getting stats for user: ${req.user._id}`);
     
-    const stats = await Job.getUserStats(req.user._id.toString());
+    const stats = await Job.getUserStats(req.user._id.toString(), buildAnalyticsMatch(req.user._id, req.query));
     console.log(`🔍 Raw stats from database:`, stats);
     
     // Convert array to object
-    const statsObj = {
-      total: 0,
-      applied: 0,
-      interviewing: 0,
-      offered: 0,
-      rejected: 0,
-      withdrawn: 0
-    };
+    const statsObj = { total: 0 };
+    JOB_STATUSES.forEach(status => {
+      statsObj[status] = 0;
+    });
+
+    // Report every stage of the user's pipeline, in order
+    const stages = req.user.getPipeline().map(stage => ({ ...stage, count: 0 }));
     
     stats.forEach(stat => {
-      statsObj[stat._id] = stat.count;
+      const { status, stage } = stat._id;
+      statsObj[status] = (statsObj[status] || 0) + stat.count;
       statsObj.total += stat.count;
+
+      const pipelineStage = stages.find(item => item.key === stage) ||
+        stages.find(item => item.category === status);
+      if (pipelineStage) {
+        pipelineStage.count += stat.count;
+      }
     });
     
     console.log(`🔍 Processed stats object:`, statsObj);
@@ -40,7 +63,8 @@ router.get('/stats', asyncHandler(async (req, res) => {
     res.json({
       success: true,
       data: {
-        stats: statsObj
+        stats: statsObj,
+        stages
       }
     });
   } catch (error) {
@@ -53,7 +77,8 @@ router.get('/stats', asyncHandler(async (req, res) => {
 // @route   GET /api/analytics/timeline
 // @access  Private
 router.get('/timeline', [
-  query('months').optional().isInt({ min: 1, max: 24 }).withMessage('Months must be between 1 and 24')
+  query('months').optional().isInt({ min: 1, max: 24 }).withMessage('Months must be between 1 and 24'),
+  ...jobFilterValidators()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -71,10 +96,9 @@ router.get('/timeline', [
 
   const timeline = await Job.aggregate([
     {
-      $match: {
-        user: new mongoose.Types.ObjectId(req.user._id),
-        applicationDate: { $gte: startDate }
-      }
+      $match: buildAnalyticsMatch(req.user._id, req.query, [
+        { applicationDate: { $gte: startDate } }
+      ])
     },
     {
       $group: {
@@ -85,6 +109,9 @@ router.get('/timeline', [
         count: { $sum: 1 },
         statuses: {
           $push: '$status'
+        },
+        stages: {
+          $push: { $ifNull: ['$stage', '$status'] }
         }
       }
     },
@@ -103,13 +130,18 @@ router.get('/timeline', [
     statuses: item.statuses.reduce((acc, status) => {
       acc[status] = (acc[status] || 0) + 1;
       return acc;
+    }, {}),
+    stages: item.stages.reduce((acc, stage) => {
+      acc[stage] = (acc[stage] || 0) + 1;
+      return acc;
     }, {})
   }));
 
   res.json({
     success: true,
     data: {
-      timeline: formattedTimeline
+      timeline: formattedTimeline,
+      pipeline: req.user.getPipeline()
     }
   });
 }));
@@ -118,7 +150,8 @@ router.get('/timeline', [
 // @route   GET /api/analytics/companies
 // @access  Private
 router.get('/companies', [
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ...jobFilterValidators()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -134,13 +167,13 @@ router.get('/companies', [
 
   const companies = await Job.aggregate([
     {
-      $match: {
-        user: new mongoose.Types.ObjectId(req.user._id)
-      }
+      $match: buildAnalyticsMatch(req.user._id, req.query)
     },
     {
+      // Group by canonical company; jobs not matched to one yet fall back to the name
       $group: {
-        _id: '$company',
+        _id: { $ifNull: ['$companyId', '$company'] },
+        name: { $first: '$company' },
         count: { $sum: 1 },
         statuses: {
           $push: '$status'
@@ -160,6 +193,14 @@ router.get('/companies', [
     },
     {
       $limit: limit
+    },
+    {
+      $lookup: {
+        from: Company.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'canonical'
+      }
     }
   ]);
 
@@ -171,8 +212,11 @@ router.get('/companies', [
     ).length;
     const successRate = total > 0 ? (successful / total) * 100 : 0;
 
+    const canonical = company.canonical[0];
+
     return {
-      company: company._id,
+      company: canonical ? canonical.name : company.name,
+      companyId: canonical ? canonical._id : null,
       totalApplications: total,
       successRate: Math.round(successRate * 100) / 100,
       avgDaysSinceApplication: Math.round(company.avgDaysSinceApplication * 100) / 100,
@@ -194,13 +238,22 @@ router.get('/companies', [
 // @desc    Get location insights
 // @route   GET /api/analytics/locations
 // @access  Private
-router.get('/locations', asyncHandler(async (req, res) => {
+router.get('/locations', jobFilterValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   const locations = await Job.aggregate([
     {
-      $match: {
-        user: new mongoose.Types.ObjectId(req.user._id),
-        location: { $exists: true, $ne: '' }
-      }
+      $match: buildAnalyticsMatch(req.user._id, req.query, [
+        { location: { $exists: true, $ne: '' } }
+      ])
     },
     {
       $group: {
@@ -246,13 +299,22 @@ router.get('/locations', asyncHandler(async (req, res) => {
 // @desc    Get interview performance
 // @route   GET /api/analytics/interviews
 // @access  Private
-router.get('/interviews', asyncHandler(async (req, res) => {
+router.get('/interviews', jobFilterValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   const interviews = await Job.aggregate([
     {
-      $match: {
-        user: new mongoose.Types.ObjectId(req.user._id),
-        'interviewDates.0': { $exists: true }
-      }
+      $match: buildAnalyticsMatch(req.user._id, req.query, [
+        { 'interviewDates.0': { $exists: true } }
+      ])
     },
     {
       $unwind: '$interviewDates'
@@ -307,7 +369,8 @@ router.get('/interviews', asyncHandler(async (req, res) => {
 // @route   GET /api/analytics/trends
 // @access  Private
 router.get('/trends', [
-  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Period must be week, month, quarter, or year')
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Period must be week, month, quarter, or year'),
+  ...jobFilterValidators()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -347,10 +410,9 @@ router.get('/trends', [
 
   const trends = await Job.aggregate([
     {
-      $match: {
-        user: new mongoose.Types.ObjectId(req.user._id),
-        applicationDate: { $gte: startDate }
-      }
+      $match: buildAnalyticsMatch(req.user._id, req.query, [
+        { applicationDate: { $gte: startDate } }
+      ])
     },
     {
       $group: {
@@ -394,4 +456,150 @@ router.get('/trends', [
   });
 }));
 
+// @desc    Get salary distributions and how offers compare to the target range
+// @route   GET /api/analytics/salaries
+// @access  Private
+router.get('/salaries', [
+  query('currency').optional().toUpperCase().isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ...jobFilterValidators()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const preference = req.user.preferences && req.user.preferences.salaryRange;
+  const currency = reportCurrency(req.query.currency, preference);
+
+  const jobs = await Job.find(buildAnalyticsMatch(req.user._id, req.query, [
+    { $or: [{ 'salaryRange.annualMax': { $ne: null } }, { offer: { $ne: null } }] }
+  ]))
+    .select('title company companyId location status salaryRange offer')
+    .populate('companyId', 'name')
+    .lean();
+
+  const report = buildSalaryReport(jobs, {
+    currency,
+    preference,
+    limit: parseInt(req.query.limit) || 10
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...report,
+      exchangeRates: {
+        base: BASE_CURRENCY,
+        updatedAt: RATES_UPDATED_AT
+      }
+    }
+  });
+}));
+
+// @desc    Get response, interview and offer rates per application source
+// @route   GET /api/analytics/sources
+// @access  Private
+router.get('/sources', jobFilterValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Every status a job has been in, so jobs that were later rejected still
+  // count as interviewed
+  const reached = (statuses) => ({
+    $cond: [
+      { $gt: [{ $size: { $setIntersection: [{ $setUnion: [['$status'], { $ifNull: ['$statusHistory.to', []] }] }, statuses] } }, 0] },
+      1,
+      0
+    ]
+  });
+
+  const [sources, referrers] = await Promise.all([
+    Job.aggregate([
+      {
+        $match: buildAnalyticsMatch(req.user._id, req.query)
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$source', 'unknown'] },
+          total: { $sum: 1 },
+          responded: { $sum: reached(RESPONSE_STATUSES) },
+          interviewed: { $sum: reached(['interviewing', 'offered']) },
+          offered: { $sum: reached(['offered']) }
+        }
+      },
+      {
+        $sort: { total: -1 }
+      }
+    ]),
+    Job.aggregate([
+      {
+        $match: buildAnalyticsMatch(req.user._id, req.query, [
+          { referrer: { $ne: null } }
+        ])
+      },
+      {
+        $group: {
+          _id: '$referrer',
+          total: { $sum: 1 },
+          interviewed: { $sum: reached(['interviewing', 'offered']) },
+          offered: { $sum: reached(['offered']) }
+        }
+      },
+      {
+        $sort: { total: -1 }
+      },
+      {
+        $limit: 10
+      },
+      {
+        $lookup: {
+          from: Contact.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'contact'
+        }
+      }
+    ])
+  ]);
+
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 100 * 100) / 100 : 0);
+
+  res.json({
+    success: true,
+    data: {
+      sources: sources.map(source => ({
+        source: source._id,
+        totalApplications: source.total,
+        responded: source.responded,
+        interviewed: source.interviewed,
+        offered: source.offered,
+        responseRate: rate(source.responded, source.total),
+        interviewRate: rate(source.interviewed, source.total),
+        offerRate: rate(source.offered, source.total)
+      })),
+      referrers: referrers.map(referrer => ({
+        contactId: referrer._id,
+        name: referrer.contact[0] ? referrer.contact[0].name : null,
+        totalApplications: referrer.total,
+        interviewRate: rate(referrer.interviewed, referrer.total),
+        offerRate: rate(referrer.offered, referrer.total)
+      }))
+    }
+  });
+}));
+
 module.exports = router;
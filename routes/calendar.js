@@ -0,0 +1,56 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/error');
+const { buildJobsCalendar, sendCalendar } = require('../services/calendarService');
+
+const router = express.Router();
+
+// @desc    Calendar subscription feed of interviews and follow-ups
+// @route   GET /api/calendar/:token.ics
+// @access  Public (secret token)
+router.get('/:token.ics', [
+  query('followUps').optional().isIn(['event', 'todo']).withMessage('followUps must be event or todo')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+
+  const user = await User.findByCalendarToken(req.params.token);
+
+  if (!user) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+
+  const jobs = await Job.find({
+    user: user._id,
+    $or: [
+      { 'interviewDates.0': { $exists: true } },
+      { followUpDate: { $exists: true, $ne: null } }
+    ]
+  })
+    .select('title company jobUrl contactPerson contactEmail contactPhone followUpDate interviewDates updatedAt')
+    .lean();
+
+  const calendar = buildJobsCalendar(jobs, {
+    name: `Job Tracker - ${user.firstName} ${user.lastName}`,
+    followUpsAsTodos: req.query.followUps === 'todo'
+  });
+
+  // Calendar apps poll this feed, so let them cache it briefly
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  sendCalendar(res, calendar);
+}));
+
+module.exports = router;
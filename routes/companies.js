@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const Contact = require('../models/Contact');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/error');
+const { COMPANY_SIZES, MAX_ALIASES } = require('../config/companies');
+const { toMatchKeys } = require('../services/companyService');
+const { escapeRegex } = require('../services/jobFilters');
+
+const router = express.Router();
+
+const COMPANY_SORT_FIELDS = ['name', 'createdAt', 'updatedAt', 'rating'];
+
+// Company fields that can be set through the API
+const COMPANY_FIELDS = ['name', 'aliases', 'website', 'size', 'industry', 'researchNotes', 'rating'];
+
+// Apply authentication to all routes
+router.use(protect);
+
+const pickCompanyFields = (source) => COMPANY_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = source[field];
+  }
+  return fields;
+}, {});
+
+// Validation rules for companies; partial makes the name optional
+const companyValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Company name is required and must be less than 100 characters')
+      .bail().custom(name => toMatchKeys([name]).length > 0).withMessage('Company name must contain letters or numbers'),
+    body('aliases').optional().isArray({ max: MAX_ALIASES }).withMessage(`Aliases must be a list of at most ${MAX_ALIASES} names`),
+    body('aliases.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('website').optional({ values: 'falsy' }).isURL({ require_protocol: true, protocols: ['http', 'https'] }).withMessage('Please provide a valid website URL'),
+    body('size').optional({ values: 'null' }).isIn(COMPANY_SIZES).withMessage(`Size must be one of: ${COMPANY_SIZES.join(', ')}`),
+    body('industry').optional().trim().isLength({ max: 100 }),
+    body('researchNotes').optional().trim().isLength({ max: 5000 }),
+    body('rating').optional({ values: 'null' }).isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt()
+  ];
+};
+
+// Load a company and check it belongs to the current user
+const getOwnedCompany = async (companyId, user, action = 'access') => {
+  const company = await Company.findById(companyId);
+
+  if (!company) {
+    throw new AppError('Company not found', 404);
+  }
+
+  if (company.user.toString() !== user._id.toString()) {
+    throw new AppError(`Not authorized to ${action} this company`, 403);
+  }
+
+  return company;
+};
+
+// Reject names or aliases already used by another of the user's companies
+const assertNamesAvailable = async (user, names, excludeId) => {
+  const conflicts = await Company.findConflicts(user._id, names, excludeId);
+
+  if (conflicts.length > 0) {
+    throw new AppError(
+      `Name or alias already used by ${conflicts.map(company => company.name).join(', ')}; merge the companies instead`,
+      409
+    );
+  }
+};
+
+// @desc    Get companies
+// @route   GET /api/companies
+// @access  Private
+router.get('/', [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('industry').optional().isString().isLength({ max: 100 }),
+  query('sortBy').optional().isIn(COMPANY_SORT_FIELDS),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const sortBy = req.query.sortBy || 'name';
+  const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
+
+  const filter = { user: req.user._id };
+  if (req.query.search) {
+    const pattern = { $regex: escapeRegex(req.query.search.trim()), $options: 'i' };
+    filter.$or = [{ name: pattern }, { aliases: pattern }];
+  }
+  if (req.query.industry) {
+    filter.industry = { $regex: `^${escapeRegex(req.query.industry.trim())}$`, $options: 'i' };
+  }
+
+  const [companies, total] = await Promise.all([
+    Company.find(filter)
+      .sort({ [sortBy]: sortOrder, _id: sortOrder })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('jobCount'),
+    Company.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      companies,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get single company with its jobs and contacts
+// @route   GET /api/companies/:id
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const company = await getOwnedCompany(req.params.id, req.user);
+
+  const jobs = await Job.find({ user: req.user._id, companyId: company._id })
+    .sort({ applicationDate: -1 })
+    .select('title company status stage applicationDate archivedAt');
+
+  const contacts = await Contact.find({ user: req.user._id, companies: company._id })
+    .sort({ name: 1 })
+    .select('name role title email lastContactedAt followUpDate');
+
+  res.json({
+    success: true,
+    data: {
+      company,
+      jobs,
+      contacts
+    }
+  });
+}));
+
+// @desc    Create company
+// @route   POST /api/companies
+// @access  Private
+router.post('/', companyValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const fields = pickCompanyFields(req.body);
+  await assertNamesAvailable(req.user, [fields.name, ...(fields.aliases || [])]);
+
+  const company = await Company.create({ ...fields, user: req.user._id });
+
+  // Pick up existing jobs filed under the name or an alias
+  const linkedJobs = await company.linkMatchingJobs();
+
+  res.status(201).json({
+    success: true,
+    message: 'Company created successfully',
+    data: {
+      company,
+      linkedJobs
+    }
+  });
+}));
+
+// @desc    Update company
+// @route   PUT /api/companies/:id
+// @access  Private
+router.put('/:id', companyValidators({ partial: true }), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const company = await getOwnedCompany(req.params.id, req.user, 'update');
+  const fields = pickCompanyFields(req.body);
+
+  company.set(fields);
+  const namesChanged = company.isModified('name') || company.isModified('aliases');
+  if (namesChanged) {
+    await assertNamesAvailable(req.user, [company.name, ...company.aliases], company._id);
+  }
+
+  await company.save();
+
+  const linkedJobs = namesChanged ? await company.linkMatchingJobs() : 0;
+
+  res.json({
+    success: true,
+    message: 'Company updated successfully',
+    data: {
+      company,
+      linkedJobs
+    }
+  });
+}));
+
+// @desc    Merge another company into this one
+// @route   POST /api/companies/:id/merge
+// @access  Private
+router.post('/:id/merge', [
+  body('sourceId').isMongoId().withMessage('Valid source company id is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const company = await getOwnedCompany(req.params.id, req.user, 'update');
+  const source = await getOwnedCompany(req.body.sourceId, req.user, 'merge');
+
+  if (source._id.equals(company._id)) {
+    throw new AppError('A company cannot be merged into itself', 400);
+  }
+
+  // The source's names become aliases so its jobs keep matching
+  const aliases = [...new Set([...company.aliases, source.name, ...source.aliases])]
+    .filter(alias => alias.toLowerCase() !== company.name.toLowerCase());
+  if (aliases.length > MAX_ALIASES) {
+    throw new AppError(`A company can have at most ${MAX_ALIASES} aliases; remove some before merging`, 400);
+  }
+
+  const researchNotes = [company.researchNotes, source.researchNotes].filter(Boolean).join('\n\n');
+  if (researchNotes.length > 5000) {
+    throw new AppError('Combined research notes exceed 5000 characters; shorten them before merging', 400);
+  }
+
+  company.aliases = aliases;
+  company.researchNotes = researchNotes || undefined;
+  ['website', 'size', 'industry', 'rating'].forEach(field => {
+    if (company[field] == null && source[field] != null) {
+      company[field] = source[field];
+    }
+  });
+
+  // Nothing is changed until the merged company is known to be valid
+  await company.validate();
+
+  // Remove the source first so its names are free for the aliases, and put it
+  // back if the merged company can't be saved
+  await source.deleteOne();
+  try {
+    await company.save();
+  } catch (error) {
+    await Company.create(source.toObject());
+    throw error;
+  }
+
+  await Job.updateMany({ companyId: source._id }, { $set: { companyId: company._id } })
+    .setOptions({ withDeleted: true });
+  await Contact.relink(req.user._id, 'companies', source._id, company._id);
+
+  res.json({
+    success: true,
+    message: `Merged ${source.name} into ${company.name}`,
+    data: {
+      company,
+      mergedCompanyId: source._id
+    }
+  });
+}));
+
+// @desc    Delete company
+// @route   DELETE /api/companies/:id
+// @access  Private
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const company = await getOwnedCompany(req.params.id, req.user, 'delete');
+
+  // Jobs keep their company name but stay unlinked, even when saved again,
+  // until a company with that name is added
+  await Job.updateMany({ companyId: company._id }, { $unset: { companyId: 1 } })
+    .setOptions({ withDeleted: true });
+  await Contact.relink(req.user._id, 'companies', company._id, null);
+  await company.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Company deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,437 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Contact = require('../models/Contact');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/error');
+const { CONTACT_ROLES, INTERACTION_TYPES } = require('../config/contacts');
+const { dueBy } = require('../services/contactService');
+const { escapeRegex } = require('../services/jobFilters');
+
+const router = express.Router();
+
+const CONTACT_SORT_FIELDS = ['name', 'createdAt', 'updatedAt', 'lastContactedAt', 'followUpDate'];
+
+// Contact fields that can be set through the API
+const CONTACT_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'role',
+  'title',
+  'linkedinUrl',
+  'notes',
+  'companies',
+  'jobs',
+  'followUpDate',
+  'followUpIntervalDays'
+];
+
+const INTERACTION_FIELDS = ['type', 'date', 'summary', 'job'];
+
+// Apply authentication to all routes
+router.use(protect);
+
+const pickFields = (fields, source) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Validation rules for contacts; partial makes the name optional
+const contactValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Contact name is required and must be less than 100 characters'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please provide a valid email'),
+    body('phone').optional().trim().isLength({ max: 20 }),
+    body('role').optional().isIn(CONTACT_ROLES).withMessage(`Role must be one of: ${CONTACT_ROLES.join(', ')}`),
+    body('title').optional().trim().isLength({ max: 100 }),
+    body('linkedinUrl').optional({ values: 'falsy' }).isURL({ require_protocol: true, protocols: ['http', 'https'] }).withMessage('Please provide a valid URL'),
+    body('notes').optional().trim().isLength({ max: 2000 }),
+    body('companies').optional().isArray({ max: 50 }).withMessage('Companies must be a list of company IDs'),
+    body('companies.*').isMongoId().withMessage('Companies must be a list of company IDs'),
+    body('jobs').optional().isArray({ max: 200 }).withMessage('Jobs must be a list of job IDs'),
+    body('jobs.*').isMongoId().withMessage('Jobs must be a list of job IDs'),
+    body('followUpDate').optional({ values: 'null' }).isISO8601().withMessage('Follow-up date must be a valid date'),
+    body('followUpIntervalDays').optional({ values: 'null' }).isInt({ min: 1, max: 365 }).withMessage('Follow-up interval must be between 1 and 365 days').toInt()
+  ];
+};
+
+// Validation rules for logged interactions; partial makes type and date optional
+const interactionValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('type')).isIn(INTERACTION_TYPES).withMessage(`Interaction type must be one of: ${INTERACTION_TYPES.join(', ')}`),
+    required(body('date')).isISO8601().withMessage('Valid interaction date is required'),
+    body('summary').optional().trim().isLength({ max: 1000 }),
+    body('job').optional({ values: 'null' }).isMongoId().withMessage('Job must be a job ID')
+  ];
+};
+
+// Load a contact and check it belongs to the current user
+const getOwnedContact = async (contactId, user, action = 'access') => {
+  const contact = await Contact.findById(contactId);
+
+  if (!contact) {
+    throw new AppError('Contact not found', 404);
+  }
+
+  if (contact.user.toString() !== user._id.toString()) {
+    throw new AppError(`Not authorized to ${action} this contact`, 403);
+  }
+
+  return contact;
+};
+
+// Check linked jobs and companies belong to the user. Returns the companies of
+// the linked jobs so the contact is tied to those companies too.
+const checkLinks = async (user, { jobs, companies }) => {
+  const jobIds = [...new Set(jobs || [])];
+  const companyIds = [...new Set(companies || [])];
+  let jobCompanies = [];
+
+  if (jobIds.length > 0) {
+    const owned = await Job.find({ _id: { $in: jobIds }, user: user._id })
+      .setOptions({ withDeleted: true })
+      .select('companyId')
+      .lean();
+    if (owned.length !== jobIds.length) {
+      throw new AppError('One or more linked jobs were not found', 400);
+    }
+    jobCompanies = owned.map(job => job.companyId).filter(Boolean).map(String);
+  }
+
+  if (companyIds.length > 0) {
+    const owned = await Company.countDocuments({ _id: { $in: companyIds }, user: user._id });
+    if (owned !== companyIds.length) {
+      throw new AppError('One or more linked companies were not found', 400);
+    }
+  }
+
+  return jobCompanies;
+};
+
+// Link the companies of a contact's jobs to the contact
+const addJobCompanies = (contact, companyIds) => {
+  companyIds.forEach(id => {
+    if (!contact.companies.some(existing => existing.toString() === id)) {
+      contact.companies.push(id);
+    }
+  });
+};
+
+const populateLinks = (contact) => contact.populate([
+  { path: 'jobs', select: 'title company status stage' },
+  { path: 'companies', select: 'name' }
+]);
+
+// @desc    Get contacts
+// @route   GET /api/contacts
+// @access  Private
+router.get('/', [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('role').optional().isIn(CONTACT_ROLES),
+  query('jobId').optional().isMongoId(),
+  query('companyId').optional().isMongoId(),
+  query('lastContactedBefore').optional().isISO8601().withMessage('lastContactedBefore must be a valid date'),
+  query('lastContactedAfter').optional().isISO8601().withMessage('lastContactedAfter must be a valid date'),
+  query('neverContacted').optional().isBoolean(),
+  query('sortBy').optional().isIn(CONTACT_SORT_FIELDS),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const sortBy = req.query.sortBy || 'name';
+  const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
+
+  const filter = { user: req.user._id };
+  if (req.query.search) {
+    const pattern = { $regex: escapeRegex(req.query.search.trim()), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }, { title: pattern }];
+  }
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.jobId) filter.jobs = req.query.jobId;
+  if (req.query.companyId) filter.companies = req.query.companyId;
+
+  if (req.query.neverContacted === 'true') {
+    filter.lastContactedAt = null;
+  } else if (req.query.lastContactedBefore || req.query.lastContactedAfter) {
+    filter.lastContactedAt = {};
+    if (req.query.lastContactedBefore) filter.lastContactedAt.$lt = new Date(req.query.lastContactedBefore);
+    if (req.query.lastContactedAfter) filter.lastContactedAt.$gte = new Date(req.query.lastContactedAfter);
+  }
+
+  const [contacts, total] = await Promise.all([
+    Contact.find(filter)
+      .sort({ [sortBy]: sortOrder, _id: sortOrder })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-interactions')
+      .populate('companies', 'name'),
+    Contact.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      contacts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get contacts due for a follow-up
+// @route   GET /api/contacts/due
+// @access  Private
+router.get('/due', [
+  query('days').optional().isInt({ min: 0, max: 90 }).withMessage('Days must be between 0 and 90')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const now = new Date();
+  const days = parseInt(req.query.days) || 0;
+
+  const contacts = await Contact.find({
+    user: req.user._id,
+    followUpDate: { $lte: dueBy(days, now) }
+  })
+    .sort({ followUpDate: 1 })
+    .select('-interactions')
+    .populate('companies', 'name');
+
+  res.json({
+    success: true,
+    data: {
+      days,
+      contacts: contacts.map(contact => ({
+        ...contact.toObject(),
+        overdue: contact.followUpDate < now
+      }))
+    }
+  });
+}));
+
+// @desc    Get single contact with its interaction log
+// @route   GET /api/contacts/:id
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const contact = await getOwnedContact(req.params.id, req.user);
+  await populateLinks(contact);
+
+  res.json({
+    success: true,
+    data: {
+      contact
+    }
+  });
+}));
+
+// @desc    Create contact
+// @route   POST /api/contacts
+// @access  Private
+router.post('/', contactValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const fields = pickFields(CONTACT_FIELDS, req.body);
+  const jobCompanies = await checkLinks(req.user, fields);
+
+  const contact = new Contact({ ...fields, user: req.user._id });
+  addJobCompanies(contact, jobCompanies);
+  await contact.save();
+  await populateLinks(contact);
+
+  res.status(201).json({
+    success: true,
+    message: 'Contact created successfully',
+    data: {
+      contact
+    }
+  });
+}));
+
+// @desc    Update contact
+// @route   PUT /api/contacts/:id
+// @access  Private
+router.put('/:id', contactValidators({ partial: true }), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const contact = await getOwnedContact(req.params.id, req.user, 'update');
+  const fields = pickFields(CONTACT_FIELDS, req.body);
+  const jobCompanies = await checkLinks(req.user, fields);
+
+  contact.set(fields);
+  addJobCompanies(contact, jobCompanies);
+  await contact.save();
+  await populateLinks(contact);
+
+  res.json({
+    success: true,
+    message: 'Contact updated successfully',
+    data: {
+      contact
+    }
+  });
+}));
+
+// @desc    Delete contact
+// @route   DELETE /api/contacts/:id
+// @access  Private
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const contact = await getOwnedContact(req.params.id, req.user, 'delete');
+
+  // Jobs they referred keep their referral source
+  await Job.updateMany({ user: req.user._id, referrer: contact._id }, { $unset: { referrer: 1 } })
+    .setOptions({ withDeleted: true });
+  await contact.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Contact deleted successfully'
+  });
+}));
+
+// @desc    Log an interaction with a contact
+// @route   POST /api/contacts/:id/interactions
+// @access  Private
+router.post('/:id/interactions', interactionValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const contact = await getOwnedContact(req.params.id, req.user, 'update');
+  const fields = pickFields(INTERACTION_FIELDS, req.body);
+  const jobCompanies = await checkLinks(req.user, { jobs: fields.job ? [fields.job] : [] });
+
+  const interaction = contact.logInteraction(fields);
+  addJobCompanies(contact, jobCompanies);
+  await contact.save();
+  await populateLinks(contact);
+
+  res.status(201).json({
+    success: true,
+    message: 'Interaction logged successfully',
+    data: {
+      interaction,
+      contact
+    }
+  });
+}));
+
+// @desc    Update a logged interaction
+// @route   PATCH /api/contacts/:id/interactions/:interactionId
+// @access  Private
+router.patch('/:id/interactions/:interactionId', interactionValidators({ partial: true }), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const contact = await getOwnedContact(req.params.id, req.user, 'update');
+  const interaction = contact.interactions.id(req.params.interactionId);
+
+  if (!interaction) {
+    throw new AppError('Interaction not found', 404);
+  }
+
+  const fields = pickFields(INTERACTION_FIELDS, req.body);
+  const jobCompanies = await checkLinks(req.user, { jobs: fields.job ? [fields.job] : [] });
+
+  interaction.set(fields);
+  // Link a newly referenced job and its company, as when logging
+  contact.linkJob(interaction.job);
+  addJobCompanies(contact, jobCompanies);
+  await contact.save();
+  await populateLinks(contact);
+
+  res.json({
+    success: true,
+    message: 'Interaction updated successfully',
+    data: {
+      interaction,
+      contact
+    }
+  });
+}));
+
+// @desc    Delete a logged interaction
+// @route   DELETE /api/contacts/:id/interactions/:interactionId
+// @access  Private
+router.delete('/:id/interactions/:interactionId', asyncHandler(async (req, res) => {
+  const contact = await getOwnedContact(req.params.id, req.user, 'update');
+  const interaction = contact.interactions.id(req.params.interactionId);
+
+  if (!interaction) {
+    throw new AppError('Interaction not found', 404);
+  }
+
+  interaction.deleteOne();
+  await contact.save();
+  await populateLinks(contact);
+
+  res.json({
+    success: true,
+    message: 'Interaction deleted successfully',
+    data: {
+      contact
+    }
+  });
+}));
+
+module.exports = router;
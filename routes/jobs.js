@@ -1,24 +1,722 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Job = require('../models/Job');
+const Contact = require('../models/Contact');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
 const { protect } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/error');
+const { csvUpload, attachmentUpload, icsUpload, handleUpload } = require('../middleware/upload');
+const { JOB_STATUSES, isClosedStatus } = require('../config/jobStatus');
+const { SUPPORTED_CURRENCIES, RATES_UPDATED_AT } = require('../config/exchangeRates');
+const { SORT_FIELDS } = require('../config/jobSort');
+const { MAX_TASKS_PER_JOB } = require('../config/tasks');
+const { ACTIVITY_TYPES, MANUAL_ACTIVITY_TYPES, MAX_ACTIVITY_PAGE } = require('../config/activity');
+const { OFFER_STATUSES, ACTIVE_OFFER_STATUSES, OFFER_RATINGS } = require('../config/offers');
+const { JOB_SOURCES } = require('../config/jobSources');
+const { PAY_PERIODS, reportCurrency } = require('../services/salaryService');
+const {
+  OFFER_CRITERIA,
+  MAX_WEIGHT,
+  isExpired,
+  parseWeights,
+  compareOffers
+} = require('../services/offerService');
+const { parseCSVWithHeaders } = require('../services/csvService');
+const {
+  parseList,
+  buildJobFilter,
+  jobFilterValidators
+} = require('../services/jobFilters');
+const {
+  populateUser,
+  serializeJob,
+  findJob,
+  listJobs,
+  openJobCursor,
+  jobFieldValidators,
+  jobPageValidators
+} = require('../services/jobListService');
+const { EXPORT_FORMATS, streamJobExport } = require('../services/jobExportService');
+const { buildStorageKey, storeUpload, removeStoredFiles, sendStoredFile } = require('../services/storage');
+const {
+  parseCalendarEvents,
+  buildInterviewEvent,
+  buildCalendar,
+  sendCalendar
+} = require('../services/calendarService');
+const { MAX_INTERVIEW_MINUTES, buildInterviewSuggestions } = require('../services/interviewImportService');
+const { TRASH_RETENTION_DAYS, notTrashed, purgeJobs } = require('../services/trashService');
+const { compareJobs, findDuplicates, loadDuplicateCandidates } = require('../services/duplicateService');
+const { parseJobPosting } = require('../services/jobPostingParser');
+const {
+  buildDefaultMapping,
+  validateMapping,
+  mapRecord,
+  validateRow
+} = require('../services/jobImportService');
 
 const router = express.Router();
 
+// Maximum number of rows accepted in a single CSV import
+const MAX_IMPORT_ROWS = 1000;
+
+// Maximum number of files attached to a single job
+const MAX_ATTACHMENTS = 20;
+
+// Maximum number of jobs a single bulk operation can touch
+const MAX_BULK_JOBS = 500;
+
+const BULK_ACTIONS = ['status', 'addTags', 'removeTags', 'priority', 'archive', 'unarchive', 'delete'];
+
 // Apply authentication to all routes
 router.use(protect);
 
+// Resolve a requested stage key and/or status against the user's pipeline
+const resolveStage = (user, stage, status) => {
+  const resolved = user.resolveStage(stage || status);
+
+  if (!resolved) {
+    throw new AppError(`Unknown pipeline stage: ${stage}`, 400);
+  }
+
+  if (stage && status && resolved.category !== status) {
+    throw new AppError(`Stage ${stage} does not belong to status ${status}`, 400);
+  }
+
+  return resolved;
+};
+
+// Load a job and check it belongs to the current user.
+// Trashed jobs are only found with { trashed: true }.
+const getOwnedJob = async (jobId, user, action = 'access', { trashed = false } = {}) => {
+  const job = trashed
+    ? await Job.findOne({ _id: jobId, deletedAt: { $ne: null } })
+    : await Job.findById(jobId);
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  if (job.user.toString() !== user._id.toString()) {
+    throw new AppError(`Not authorized to ${action} this job`, 403);
+  }
+
+  return job.setOwner(user);
+};
+
+// Move an applied job into the user's first interviewing stage
+const markInterviewing = (job, user) => {
+  if (job.status !== 'applied') return;
+
+  const stage = user.resolveStage('interviewing');
+  job.changeStatus(stage.category, 'Interview scheduled', { stage: stage.key });
+};
+
+// Add a newly added interview round to the job's timeline
+const logInterviewAdded = (job, interview) => {
+  job.logActivity('interview-added', `${interview.type} interview added`, {
+    interviewId: interview._id,
+    date: interview.date,
+    type: interview.type
+  });
+};
+
+// Interview fields that can be set through the API
+const INTERVIEW_FIELDS = [
+  'date',
+  'type',
+  'notes',
+  'outcome',
+  'interviewers',
+  'durationMinutes',
+  'location',
+  'meetingLink',
+  'prepNotes'
+];
+
+const pickInterviewFields = (source) => INTERVIEW_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = source[field];
+  }
+  return fields;
+}, {});
+
+// Validation rules for interview rounds; partial makes date and type optional
+const interviewValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('date')).isISO8601().withMessage('Valid interview date is required'),
+    required(body('type')).isIn(['phone', 'video', 'onsite', 'technical', 'behavioral']).withMessage('Valid interview type is required'),
+    body('notes').optional().trim().isLength({ max: 500 }),
+    body('outcome').optional().isIn(['passed', 'failed', 'pending']),
+    body('interviewers').optional().isArray({ max: 20 }).withMessage('Interviewers must be a list'),
+    body('interviewers.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('durationMinutes').optional().isInt({ min: 1, max: MAX_INTERVIEW_MINUTES }).withMessage(`Duration must be between 1 and ${MAX_INTERVIEW_MINUTES} minutes`).toInt(),
+    body('location').optional().trim().isLength({ max: 200 }),
+    body('meetingLink').optional({ values: 'falsy' }).isURL({ require_protocol: true, protocols: ['http', 'https'] }).withMessage('Please provide a valid meeting link'),
+    body('prepNotes').optional().trim().isLength({ max: 2000 })
+  ];
+};
+
+// Move a job into the user's first offered stage when the pipeline allows it
+const markOffered = (job, user) => {
+  if (job.status === 'offered' || !job.canTransitionTo('offered')) return;
+
+  const stage = user.resolveStage('offered');
+  job.changeStatus(stage.category, 'Offer received', { stage: stage.key });
+};
+
+// Offer fields that can be set through the API
+const OFFER_FIELDS = [
+  'baseSalary',
+  'currency',
+  'period',
+  'annualBonus',
+  'signOnBonus',
+  'equity',
+  'benefits',
+  'benefitsValue',
+  'startDate',
+  'expiresAt',
+  'status',
+  'ratings',
+  'notes',
+  'receivedAt'
+];
+
+const pickOfferFields = (source) => OFFER_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = source[field];
+  }
+  return fields;
+}, {});
+
+// Validation rules for an offer; partial makes the base salary optional
+const offerValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+  const amount = (field, label) => body(field).optional({ values: 'null' }).isFloat({ min: 0 })
+    .withMessage(`${label} must be a positive number`).toFloat();
+
+  return [
+    required(body('baseSalary')).isFloat({ min: 0 }).withMessage('Base salary must be a positive number').toFloat(),
+    body('currency').optional().isISO4217().withMessage('Currency must be a 3-letter ISO code'),
+    body('period').optional().isIn(PAY_PERIODS).withMessage(`Pay period must be one of: ${PAY_PERIODS.join(', ')}`),
+    amount('annualBonus', 'Bonus'),
+    amount('signOnBonus', 'Sign-on bonus'),
+    body('equity').optional().isObject().withMessage('Equity must be an object'),
+    body('equity.description').optional().trim().isLength({ max: 200 }),
+    amount('equity.annualValue', 'Equity value'),
+    body('benefits').optional().isArray({ max: 30 }).withMessage('Benefits must be a list of at most 30 items'),
+    body('benefits.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    amount('benefitsValue', 'Benefits value'),
+    body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Offer deadline must be a valid date'),
+    body('status').optional().isIn(OFFER_STATUSES).withMessage(`Offer status must be one of: ${OFFER_STATUSES.join(', ')}`),
+    body('ratings').optional().isObject().withMessage('Ratings must be an object'),
+    ...OFFER_RATINGS.map(rating => body(`ratings.${rating}`).optional({ values: 'null' }).isInt({ min: 1, max: 5 })
+      .withMessage('Ratings must be between 1 and 5').toInt()),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    body('receivedAt').optional().isISO8601()
+  ];
+};
+
+// Salary range fields that can be set through the API; the rest are derived
+const SALARY_RANGE_FIELDS = ['min', 'max', 'currency', 'period', 'bonus', 'equity'];
+
+// Validation rules for a structured salary range
+const salaryRangeValidators = [
+  body('salaryRange').optional().isObject().withMessage('Salary range must be an object').customSanitizer(range => (
+    SALARY_RANGE_FIELDS.reduce((picked, field) => {
+      if (range[field] !== undefined) picked[field] = range[field];
+      return picked;
+    }, {})
+  )),
+  body('salaryRange.min').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum salary must be a positive number').toFloat(),
+  body('salaryRange.max').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum salary must be a positive number').toFloat()
+    .custom((max, { req }) => {
+      const { min } = req.body.salaryRange;
+      if (min != null && max < min) {
+        throw new Error('Maximum salary cannot be less than the minimum');
+      }
+      return true;
+    }),
+  body('salaryRange.currency').optional().isISO4217().withMessage('Currency must be a 3-letter ISO code'),
+  body('salaryRange.period').optional().isIn(PAY_PERIODS).withMessage(`Pay period must be one of: ${PAY_PERIODS.join(', ')}`),
+  body('salaryRange.bonus').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Bonus must be a positive number').toFloat(),
+  body('salaryRange.equity').optional().trim().isLength({ max: 100 })
+];
+
+// Validation rules for where a job came from
+const sourceValidators = [
+  body('source').optional({ values: 'null' }).isIn(JOB_SOURCES).withMessage(`Source must be one of: ${JOB_SOURCES.join(', ')}`),
+  body('sourceDetail').optional().trim().isLength({ max: 100 }),
+  body('referrer').optional({ values: 'null' }).isMongoId().withMessage('Referrer must be a contact ID')
+];
+
+// Check a referrer is one of the user's contacts
+const assertOwnedReferrer = async (contactId, user) => {
+  if (!contactId) return;
+
+  const exists = await Contact.exists({ _id: contactId, user: user._id });
+  if (!exists) {
+    throw new AppError('Referrer contact not found', 400);
+  }
+};
+
+// Link a job to its referrer's contact record
+const linkReferrer = async (job) => {
+  if (!job.referrer) return;
+  await Contact.updateOne({ _id: job.referrer }, { $addToSet: { jobs: job._id } });
+};
+
+// Unlink a job from a former referrer, unless an interaction with them was about it
+const unlinkReferrer = async (contactId, job) => {
+  if (!contactId) return;
+  await Contact.updateOne(
+    { _id: contactId, 'interactions.job': { $ne: job._id } },
+    { $pull: { jobs: job._id } }
+  );
+};
+
+// Validation rules for creating a job (shared with CSV import)
+const createJobValidators = [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Job title is required and must be less than 100 characters'),
+  body('company').trim().isLength({ min: 1, max: 100 }).withMessage('Company name is required and must be less than 100 characters'),
+  body('location').optional().trim().isLength({ max: 100 }),
+  body('status').optional().isIn(JOB_STATUSES),
+  body('stage').optional().trim().isLength({ min: 1, max: 50 }),
+  body('salary').optional().trim().isLength({ max: 50 }),
+  ...salaryRangeValidators,
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('requirements').optional().trim().isLength({ max: 1000 }),
+  body('applicationDate').isISO8601().withMessage('Valid application date is required'),
+  body('jobUrl').optional().isURL().withMessage('Please provide a valid URL'),
+  ...sourceValidators,
+  body('contactPerson').optional().trim().isLength({ max: 100 }),
+  body('contactEmail').optional().isEmail().withMessage('Please provide a valid email'),
+  body('contactPhone').optional().trim().isLength({ max: 20 }),
+  body('notes').optional().trim().isLength({ max: 1000 }),
+  body('tags').optional().isArray(),
+  body('priority').optional().isIn(['low', 'medium', 'high']),
+  body('followUpDate').optional().isISO8601()
+];
+
+// Validation rules for a task; partial makes the title optional
+const taskValidators = ({ partial = false } = {}) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('title')).trim().isLength({ min: 1, max: 200 }).withMessage('Task title is required and must be less than 200 characters'),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('Due date must be a valid date'),
+    body('completed').optional().isBoolean().withMessage('Completed must be true or false').toBoolean()
+  ];
+};
+
+// Copy task fields from a request onto a task; completed sets or clears completedAt
+const applyTaskFields = (task, source) => {
+  ['title', 'notes', 'dueDate'].forEach(field => {
+    if (source[field] !== undefined) {
+      task.set(field, source[field]);
+    }
+  });
+
+  if (source.completed !== undefined && source.completed !== task.completed) {
+    task.completedAt = source.completed ? new Date() : null;
+  }
+};
+
+// Load a task on one of the user's jobs
+const getJobTask = async (job, taskId) => {
+  const task = await Task.findOne({ _id: taskId, job: job._id });
+
+  if (!task) {
+    throw new AppError('Task not found', 404);
+  }
+
+  return task;
+};
+
+// Validation rules for paging through an activity timeline
+const activityPageValidators = [
+  query('type').optional().custom(value => {
+    const invalid = parseList(value).filter(type => !ACTIVITY_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid activity type: ${invalid.join(', ')}`);
+    }
+    return true;
+  }),
+  query('limit').optional().isInt({ min: 1, max: MAX_ACTIVITY_PAGE }).withMessage(`Limit must be between 1 and ${MAX_ACTIVITY_PAGE}`),
+  query('cursor').optional().isString().isLength({ max: 2000 })
+];
+
+// Narrow an activity filter to the requested types
+const activityTypeFilter = (filter, type) => {
+  const types = parseList(type);
+  return types.length > 0 ? { ...filter, type: { $in: types } } : filter;
+};
+
+// Validation rules for list-style filter and sort parameters
+const jobListValidators = [
+  ...jobFilterValidators(),
+  query('sortBy').optional().isIn(SORT_FIELDS),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
 // @desc    Get all jobs for current user
 // @route   GET /api/jobs
 // @access  Private
 router.get('/', [
-  query('status').optional().isIn(['applied', 'interviewing', 'offered', 'rejected', 'withdrawn']),
-  query('search').optional().isString(),
-  query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'applicationDate', 'title', 'company']),
-  query('sortOrder').optional().isIn(['asc', 'desc']),
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  ...jobListValidators,
+  ...jobPageValidators()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { jobs, pagination } = await listJobs(req.user._id, req.query);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      pagination
+    }
+  });
+}));
+
+// @desc    Export jobs as CSV, JSON or Excel
+// @route   GET /api/jobs/export
+// @access  Private
+router.get('/export', [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ...jobListValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const format = req.query.format || 'csv';
+
+  const cursor = openJobCursor(req.user._id, req.query);
+
+  await streamJobExport(cursor, format, res);
+}));
+
+// Apply one bulk action to a job (does not save)
+const applyBulkAction = (job, user, { action, status, stage, note, tags, priority }) => {
+  switch (action) {
+    case 'status': {
+      const target = resolveStage(user, stage, status);
+      job.changeStatus(target.category, note, { stage: target.key });
+      break;
+    }
+    case 'addTags':
+      tags.forEach(tag => {
+        if (!job.tags.includes(tag)) job.tags.push(tag);
+      });
+      break;
+    case 'removeTags':
+      job.tags = job.tags.filter(tag => !tags.includes(tag));
+      break;
+    case 'priority':
+      job.priority = priority;
+      break;
+    case 'archive':
+      job.archivedAt = job.archivedAt || new Date();
+      break;
+    case 'unarchive':
+      job.archivedAt = null;
+      break;
+    case 'delete':
+      job.deletedAt = new Date();
+      break;
+    default:
+      throw new AppError(`Unknown bulk action: ${action}`, 400);
+  }
+};
+
+// @desc    Apply an action to many jobs at once
+// @route   POST /api/jobs/bulk
+// @access  Private
+router.post('/bulk', [
+  body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('ids').optional().isArray({ min: 1, max: MAX_BULK_JOBS }).withMessage(`IDs must be a list of 1 to ${MAX_BULK_JOBS} job IDs`),
+  body('ids.*').isMongoId().withMessage('Invalid job ID'),
+  body('filter').optional().isObject(),
+  ...jobFilterValidators(body, 'filter.'),
+  body().custom(value => {
+    if (!value.ids === !value.filter) {
+      throw new Error('Provide either ids or filter');
+    }
+    return true;
+  }),
+  body('status').if(body('action').equals('status')).optional().isIn(JOB_STATUSES),
+  body('stage').if(body('action').equals('status')).optional().trim().isLength({ min: 1, max: 50 }),
+  body('note').optional().trim().isLength({ max: 500 }),
+  body().custom(value => {
+    if (value.action === 'status' && !value.status && !value.stage) {
+      throw new Error('Either status or stage is required for the status action');
+    }
+    return true;
+  }),
+  body('tags').if(body('action').isIn(['addTags', 'removeTags'])).isArray({ min: 1 }).withMessage('Tags are required for tag actions'),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 30 }),
+  body('priority').if(body('action').equals('priority')).isIn(['low', 'medium', 'high']).withMessage('Valid priority is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { ids, filter } = req.body;
+  const results = [];
+  let jobs;
+
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    jobs = await Job.find({ _id: { $in: uniqueIds } });
+
+    // Report IDs that don't exist (or are already trashed)
+    uniqueIds
+      .filter(id => !jobs.some(job => job._id.toString() === id))
+      .forEach(id => results.push({ id, success: false, message: 'Job not found' }));
+  } else {
+    const matching = await Job.countDocuments(buildJobFilter(req.user._id, filter));
+    if (matching > MAX_BULK_JOBS) {
+      throw new AppError(`Filter matches ${matching} jobs; bulk operations are limited to ${MAX_BULK_JOBS}`, 400);
+    }
+    jobs = await Job.find(buildJobFilter(req.user._id, filter));
+  }
+
+  for (const job of jobs) {
+    const id = job._id.toString();
+
+    // Check if job belongs to current user
+    if (job.user.toString() !== req.user._id.toString()) {
+      results.push({ id, success: false, message: 'Not authorized to update this job' });
+      continue;
+    }
+
+    try {
+      applyBulkAction(job, req.user, req.body);
+      await job.setOwner(req.user).save();
+      results.push({ id, success: true });
+    } catch (error) {
+      results.push({ id, success: false, message: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    success: true,
+    message: `${req.body.action} applied to ${succeeded} of ${results.length} jobs`,
+    data: {
+      action: req.body.action,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    }
+  });
+}));
+
+// @desc    Import jobs from a CSV file
+// @route   POST /api/jobs/import
+// @access  Private
+router.post('/import', handleUpload(csvUpload.single('file')), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('A CSV file is required (form field "file")', 400);
+  }
+
+  const dryRun = ['true', '1'].includes(String(req.body.dryRun || req.query.dryRun).toLowerCase());
+
+  let headers, records;
+  try {
+    ({ headers, records } = parseCSVWithHeaders(req.file.buffer.toString('utf8')));
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  if (records.length === 0) {
+    throw new AppError('The CSV file has no data rows', 400);
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A single import is limited to ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  // Column mapping: { "CSV header": "jobField" }, guessed from headers when omitted
+  let mapping;
+  if (req.body.mapping) {
+    try {
+      mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+    } catch (error) {
+      throw new AppError('Mapping must be a JSON object of column to field', 400);
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new AppError('Invalid column mapping', 400);
+    }
+  } else {
+    mapping = buildDefaultMapping(headers);
+  }
+
+  const mappingErrors = validateMapping(mapping, headers);
+  if (mappingErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid column mapping',
+      errors: mappingErrors
+    });
+  }
+
+  // Validate every row with the same rules as POST /api/jobs
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    const { data, errors } = await validateRow(mapRecord(record, mapping), createJobValidators, req.user);
+    rows.push({
+      row: index + 2, // 1-based line number, after the header row
+      valid: errors.length === 0,
+      errors,
+      data
+    });
+  }
+
+  const validRows = rows.filter(row => row.valid);
+
+  // Flag rows that look like existing jobs or like an earlier row of the file
+  const existingJobs = await loadDuplicateCandidates(req.user._id);
+  validRows.forEach((row, index) => {
+    row.duplicates = findDuplicates(row.data, existingJobs);
+    const earlier = validRows.slice(0, index).find(previous => compareJobs(row.data, previous.data));
+    row.duplicateOfRow = earlier ? earlier.row : null;
+  });
+
+  let imported = [];
+  if (!dryRun && validRows.length > 0) {
+    imported = await Promise.all(validRows.map(row =>
+      new Job({ ...row.data, user: req.user._id }).setOwner(req.user).save()
+    ));
+    validRows.forEach((row, index) => {
+      row.jobId = imported[index]._id;
+    });
+  }
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun
+      ? 'Dry run complete, no jobs were created'
+      : `Imported ${imported.length} of ${rows.length} rows`,
+    data: {
+      dryRun,
+      mapping,
+      summary: {
+        totalRows: rows.length,
+        valid: validRows.length,
+        invalid: rows.length - validRows.length,
+        possibleDuplicates: validRows.filter(row => row.duplicates.length > 0 || row.duplicateOfRow).length,
+        imported: imported.length
+      },
+      rows
+    }
+  });
+}));
+
+// @desc    Prefill a job draft from pasted job posting HTML or text
+// @route   POST /api/jobs/parse-posting
+// @access  Private
+router.post('/parse-posting', [
+  body('content').isString().trim().isLength({ min: 1, max: 100000 }).withMessage('Posting content is required (up to 100,000 characters)'),
+  body('url').optional().isURL({ require_protocol: true, protocols: ['http', 'https'] }).withMessage('Please provide a valid URL')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Nothing is saved; the draft is meant to be reviewed and sent to POST /api/jobs
+  const result = parseJobPosting(req.body.content, { url: req.body.url });
+  const duplicates = result.missing.includes('company')
+    ? []
+    : findDuplicates(result.draft, await loadDuplicateCandidates(req.user._id));
+
+  res.json({
+    success: true,
+    message: result.missing.length > 0
+      ? `Draft created; please fill in: ${result.missing.join(', ')}`
+      : 'Draft created; review it before saving',
+    data: {
+      ...result,
+      duplicates
+    }
+  });
+}));
+
+// @desc    Preview interviews from an uploaded .ics file
+// @route   POST /api/jobs/interviews/import
+// @access  Private
+router.post('/interviews/import', handleUpload(icsUpload.single('file')), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('An .ics file is required (form field "file")', 400);
+  }
+
+  const events = parseCalendarEvents(req.file.buffer.toString('utf8'));
+
+  if (events.length === 0) {
+    throw new AppError('No events found in the calendar file', 400);
+  }
+
+  if (events.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A single import is limited to ${MAX_IMPORT_ROWS} events`, 400);
+  }
+
+  const jobs = await Job.find({ user: req.user._id })
+    .select('title company status contactEmail interviewDates.date interviewDates.calendarUid')
+    .lean();
+
+  res.json({
+    success: true,
+    message: 'Review the suggested matches, then confirm the interviews to create',
+    data: {
+      events: buildInterviewSuggestions(events, jobs)
+    }
+  });
+}));
+
+// @desc    Create interviews confirmed from an .ics import
+// @route   POST /api/jobs/interviews/import/confirm
+// @access  Private
+router.post('/interviews/import/confirm', [
+  body('interviews').isArray({ min: 1, max: MAX_IMPORT_ROWS }).withMessage('Interviews must be a non-empty list'),
+  body('interviews.*.jobId').isMongoId().withMessage('A valid job ID is required for each interview'),
+  body('interviews.*.calendarUid').optional().isString().isLength({ max: 500 })
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -30,106 +728,1019 @@ router.get('/', [
     });
   }
 
-  const {
-    status,
-    search,
-    sortBy = 'updatedAt',
-    sortOrder = 'desc',
-    page = 1,
-    limit = 20
-  } = req.query;
+  const results = [];
+
+  for (const [index, item] of req.body.interviews.entries()) {
+    // Validate each round with the same rules as POST /api/jobs/:id/interviews
+    const itemRequest = { body: { ...item } };
+    await Promise.all(interviewValidators().map(validator => validator.run(itemRequest)));
+    const itemErrors = validationResult(itemRequest);
+
+    if (!itemErrors.isEmpty()) {
+      results.push({ index, success: false, errors: itemErrors.array() });
+      continue;
+    }
+
+    try {
+      const job = await getOwnedJob(item.jobId, req.user, 'update');
+      const fields = pickInterviewFields(itemRequest.body);
+
+      if (item.calendarUid && job.interviewDates.some(interview => interview.calendarUid === item.calendarUid)) {
+        throw new AppError('This invite has already been imported for the job', 409);
+      }
+
+      job.interviewDates.push({
+        ...fields,
+        outcome: fields.outcome || 'pending',
+        calendarUid: item.calendarUid
+      });
+      const interview = job.interviewDates[job.interviewDates.length - 1];
+      logInterviewAdded(job, interview);
+      markInterviewing(job, req.user);
+      await job.save();
+
+      results.push({ index, success: true, jobId: job._id, interviewId: interview._id });
+    } catch (error) {
+      results.push({ index, success: false, message: error.message });
+    }
+  }
+
+  const created = results.filter(result => result.success).length;
+
+  res.status(created > 0 ? 201 : 400).json({
+    success: created > 0,
+    message: `Created ${created} of ${results.length} interviews`,
+    data: {
+      results
+    }
+  });
+}));
+
+// @desc    Get trashed jobs
+// @route   GET /api/jobs/trash
+// @access  Private
+router.get('/trash', asyncHandler(async (req, res) => {
+  const jobs = await Job.find({ user: req.user._id, deletedAt: { $ne: null } })
+    .sort({ deletedAt: -1 })
+    .select('title company status stage applicationDate deletedAt');
+
+  res.json({
+    success: true,
+    data: {
+      retentionDays: TRASH_RETENTION_DAYS,
+      jobs: jobs.map(job => ({
+        ...job.toObject(),
+        purgeAt: job.getPurgeDate(TRASH_RETENTION_DAYS)
+      }))
+    }
+  });
+}));
+
+// @desc    Empty the trash
+// @route   DELETE /api/jobs/trash
+// @access  Private
+router.delete('/trash', asyncHandler(async (req, res) => {
+  const purged = await purgeJobs({ user: req.user._id });
+
+  res.json({
+    success: true,
+    message: `Permanently deleted ${purged} job(s)`,
+    data: {
+      purged
+    }
+  });
+}));
+
+// @desc    Permanently delete a trashed job
+// @route   DELETE /api/jobs/trash/:id
+// @access  Private
+router.delete('/trash/:id', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'delete', { trashed: true });
+
+  await purgeJobs({ _id: job._id });
+
+  res.json({
+    success: true,
+    message: 'Job permanently deleted'
+  });
+}));
+
+// @desc    Get recent activity across all jobs
+// @route   GET /api/jobs/activity
+// @access  Private
+router.get('/activity', activityPageValidators, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Leave out jobs in the trash
+  const filter = activityTypeFilter({ user: req.user._id, job: await notTrashed(req.user._id) }, req.query.type);
+
+  const { activities, nextCursor } = await Activity.findPage(filter, {
+    limit: parseInt(req.query.limit) || 20,
+    cursor: req.query.cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      activities,
+      nextCursor
+    }
+  });
+}));
+
+// @desc    Compare active offers side by side
+// @route   GET /api/jobs/offers/compare
+// @access  Private
+router.get('/offers/compare', [
+  query('currency').optional().toUpperCase().isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+  query('weights').optional().custom(value => {
+    parseList(value).forEach(pair => {
+      const [criterion, weight] = pair.split(':').map(part => part.trim());
+      if (!OFFER_CRITERIA.includes(criterion)) {
+        throw new Error(`Unknown criterion "${criterion}". Use: ${OFFER_CRITERIA.join(', ')}`);
+      }
+      if (!/^\d+(\.\d+)?$/.test(weight || '') || Number(weight) > MAX_WEIGHT) {
+        throw new Error(`Weight for ${criterion} must be a number from 0 to ${MAX_WEIGHT}`);
+      }
+    });
+    return true;
+  }),
+  query('includeExpired').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const includeExpired = req.query.includeExpired === 'true';
+  const jobs = (await Job.find({
+    user: req.user._id,
+    'offer.status': { $in: ACTIVE_OFFER_STATUSES }
+  })
+    .select('title company status stage offer')
+    .lean())
+    .filter(job => includeExpired || !isExpired(job.offer));
+
+  const currency = reportCurrency(req.query.currency, req.user.preferences && req.user.preferences.salaryRange);
+  const weights = parseWeights(parseList(req.query.weights));
+  const { offers, unconverted } = compareOffers(jobs, { currency, weights });
+
+  res.json({
+    success: true,
+    data: {
+      currency,
+      weights,
+      offers,
+      unconverted,
+      exchangeRatesUpdatedAt: RATES_UPDATED_AT
+    }
+  });
+}));
+
+// @desc    Get single job
+// @route   GET /api/jobs/:id
+// @access  Private
+router.get('/:id', jobFieldValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await findJob(req.params.id, req.query);
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  // Check if job belongs to current user
+  if (job.user._id.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to access this job', 403);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      job: serializeJob(job, req.query)
+    }
+  });
+}));
+
+// @desc    Create new job
+// @route   POST /api/jobs
+// @access  Private
+router.post('/', createJobValidators, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Place the job in the user's pipeline
+  const stage = req.body.stage || req.body.status
+    ? resolveStage(req.user, req.body.stage, req.body.status)
+    : req.user.resolveStage('applied');
+
+  // Add user to job data
+  const jobData = {
+    ...req.body,
+    status: stage.category,
+    stage: stage.key,
+    user: req.user._id
+  };
+  delete jobData.statusHistory;
+  delete jobData.attachments;
+  delete jobData.offer;
+  delete jobData.companyId;
+  delete jobData.archivedAt;
+  delete jobData.deletedAt;
+
+  await assertOwnedReferrer(jobData.referrer, req.user);
+
+  // Warn about (but still save) jobs that look like an existing application
+  const duplicates = findDuplicates(jobData, await loadDuplicateCandidates(req.user._id));
+
+  const job = await new Job(jobData).setOwner(req.user).save();
+  await linkReferrer(job);
+  
+  // Populate user data
+  await populateUser(job, req.query);
+
+  res.status(201).json({
+    success: true,
+    message: duplicates.length > 0
+      ? 'Job created successfully, but it looks like an application you already have'
+      : 'Job created successfully',
+    data: {
+      job,
+      duplicates
+    }
+  });
+}));
+
+// @desc    Update job
+// @route   PUT /api/jobs/:id
+// @access  Private
+router.put('/:id', [
+  body('title').optional().trim().isLength({ min: 1, max: 100 }),
+  body('company').optional().trim().isLength({ min: 1, max: 100 }),
+  body('location').optional().trim().isLength({ max: 100 }),
+  body('status').optional().isIn(JOB_STATUSES),
+  body('stage').optional().trim().isLength({ min: 1, max: 50 }),
+  body('salary').optional().trim().isLength({ max: 50 }),
+  ...salaryRangeValidators,
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('requirements').optional().trim().isLength({ max: 1000 }),
+  body('applicationDate').optional().isISO8601(),
+  body('jobUrl').optional().isURL(),
+  ...sourceValidators,
+  body('contactPerson').optional().trim().isLength({ max: 100 }),
+  body('contactEmail').optional().isEmail(),
+  body('contactPhone').optional().trim().isLength({ max: 20 }),
+  body('notes').optional().trim().isLength({ max: 1000 }),
+  body('tags').optional().isArray(),
+  body('priority').optional().isIn(['low', 'medium', 'high']),
+  body('followUpDate').optional().isISO8601(),
+  body('statusNote').optional().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  try {
+    console.log(`🔍 Updating job with ID: ${req.params.id}`);
+    console.log(`🔍 Update data received:`, req.body);
+    
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log(`❌ Validation errors:`, errors.array());
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let job = await Job.findById(req.params.id);
+    
+    if (!job) {
+      console.log(`❌ Job not found with ID: ${req.params.id}`);
+      throw new AppError('Job not found', 404);
+    }
+
+    console.log(`🔍 Found job: ${job.title} at ${job.company}`);
+
+    // Check if job belongs to current user
+    if (job.user.toString() !== req.user._id.toString()) {
+      console.log(`❌ Unauthorized update attempt. Job user: ${job.user}, Request user: ${req.user._id}`);
+      throw new AppError('Not authorized to update this job', 403);
+    }
+
+    job.setOwner(req.user);
+
+    console.log(`✅ Authorized to update job. Proceeding with update...`);
+    
+    // Status changes go through the model so the transition is recorded
+    const { status, stage, statusNote, salaryRange, ...updates } = req.body;
+    delete updates.user;
+    delete updates.statusHistory;
+    delete updates.attachments;
+    delete updates.offer;
+    delete updates.companyId;
+    delete updates.archivedAt;
+    delete updates.deletedAt;
+
+    await assertOwnedReferrer(updates.referrer, req.user);
+    const previousReferrer = job.referrer;
+
+    // Update job
+    job.set(updates);
+    // Merge the salary range field by field so a partial range keeps the rest
+    if (salaryRange) {
+      SALARY_RANGE_FIELDS.forEach(field => {
+        if (salaryRange[field] !== undefined) {
+          job.set(`salaryRange.${field}`, salaryRange[field]);
+        }
+      });
+    }
+    if (status || stage) {
+      const target = resolveStage(req.user, stage, status);
+      job.changeStatus(target.category, statusNote, { stage: target.key });
+    }
+    await job.save();
+    if (String(previousReferrer || '') !== String(job.referrer || '')) {
+      await unlinkReferrer(previousReferrer, job);
+      await linkReferrer(job);
+    }
+    await populateUser(job, req.query);
+
+    console.log(`✅ Job updated successfully:`, job);
+
+    res.json({
+      success: true,
+      message: 'Job updated successfully',
+      data: {
+        job
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in update job route:', error);
+    throw error;
+  }
+}));
+
+// @desc    Delete job
+// @route   DELETE /api/jobs/:id
+// @access  Private
+router.delete('/:id', asyncHandler(async (req, res) => {
+  console.log(`🔍 Attempting to delete job with ID: ${req.params.id}`);
+  
+  try {
+    // Simple and direct approach
+    const job = await Job.findById(req.params.id);
+    
+    if (!job) {
+      console.log(`❌ Job not found with ID: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    console.log(`🔍 Found job: ${job.title} at ${job.company}`);
+
+    // Check if job belongs to current user
+    if (job.user.toString() !== req.user._id.toString()) {
+      console.log(`❌ Unauthorized delete attempt. Job user: ${job.user}, Request user: ${req.user._id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this job'
+      });
+    }
+
+    console.log(`✅ Authorized to delete job. Proceeding with deletion...`);
+    
+    // Move the job to the trash; it is purged after the retention window
+    await job.softDelete();
+    
+    console.log(`✅ Job moved to trash`);
+
+    res.json({
+      success: true,
+      message: 'Job moved to trash',
+      data: {
+        purgeAt: job.getPurgeDate(TRASH_RETENTION_DAYS)
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Error in delete job route:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}));
+
+// @desc    Restore a job from the trash
+// @route   POST /api/jobs/:id/restore
+// @access  Private
+router.post('/:id/restore', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'restore', { trashed: true });
+
+  // The stage may have been removed from the pipeline while the job was trashed
+  if (!req.user.resolveStage(job.stage)) {
+    job.stage = req.user.resolveStage(job.status).key;
+  }
+
+  await job.restore();
+
+  // Populate user data
+  await populateUser(job, req.query);
+
+  res.json({
+    success: true,
+    message: 'Job restored successfully',
+    data: {
+      job
+    }
+  });
+}));
+
+// @desc    Update job status
+// @route   PATCH /api/jobs/:id/status
+// @access  Private
+router.patch('/:id/status', [
+  body('status').optional().isIn(JOB_STATUSES).withMessage('Valid status is required'),
+  body('stage').optional().trim().isLength({ min: 1, max: 50 }),
+  body().custom(value => {
+    if (!value.status && !value.stage) {
+      throw new Error('Either status or stage is required');
+    }
+    return true;
+  }),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status, stage, note } = req.body;
+
+  let job = await Job.findById(req.params.id);
+  
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  // Check if job belongs to current user
+  if (job.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to update this job', 403);
+  }
+
+  job.setOwner(req.user);
+
+  // Update status using instance method
+  const target = resolveStage(req.user, stage, status);
+  await job.updateStatus(target.category, note, { stage: target.key });
+  
+  // Populate user data
+  await populateUser(job, req.query);
+
+  res.json({
+    success: true,
+    message: 'Job status updated successfully',
+    data: {
+      job
+    }
+  });
+}));
+
+// @desc    Merge another job into this one and move it to the trash
+// @route   POST /api/jobs/:id/merge
+// @access  Private
+router.post('/:id/merge', [
+  body('sourceId').isMongoId().withMessage('A valid source job ID is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'merge');
+  const source = await getOwnedJob(req.body.sourceId, req.user, 'merge');
+
+  if (job.attachments.length + source.attachments.length > MAX_ATTACHMENTS) {
+    throw new AppError(`A job can have at most ${MAX_ATTACHMENTS} attachments`, 400);
+  }
+
+  job.mergeFrom(source);
+  job.logActivity('merged', `Merged "${source.title}" at ${source.company} into this job`, {
+    sourceId: source._id,
+    title: source.title,
+    company: source.company
+  });
+  await job.save();
+
+  // The merged job stays restorable from the trash until it is purged, so its
+  // contacts stay linked to it as well
+  await source.softDelete();
+  await Contact.relink(req.user._id, 'jobs', source._id, job._id, { keep: true });
+
+  // The timeline is append-only, so the merged job's history carries over
+  await Activity.updateMany({ job: source._id }, { $set: { job: job._id } });
+  const movedTasks = await Task.moveToJob(source, job);
+
+  await populateUser(job, req.query);
+
+  res.json({
+    success: true,
+    message: `Merged "${source.title}" into this job and moved it to the trash`,
+    data: {
+      job,
+      mergedJobId: source._id,
+      movedTasks,
+      purgeAt: source.getPurgeDate(TRASH_RETENTION_DAYS)
+    }
+  });
+}));
+
+// @desc    Reopen a rejected or withdrawn job
+// @route   POST /api/jobs/:id/reopen
+// @access  Private
+router.post('/:id/reopen', [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason (max 500 characters) is required to reopen an application'),
+  body('status').optional().isIn(JOB_STATUSES.filter(status => !isClosedStatus(status))).withMessage('Reopened status must be an open status'),
+  body('stage').optional().trim().isLength({ min: 1, max: 50 })
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { reason, status, stage } = req.body;
+
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  // Check if job belongs to current user
+  if (job.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to update this job', 403);
+  }
+
+  job.setOwner(req.user);
+
+  const target = status || stage ? resolveStage(req.user, stage, status) : undefined;
+  await job.reopen(reason, target);
+
+  // Populate user data
+  await populateUser(job, req.query);
+
+  res.json({
+    success: true,
+    message: 'Job reopened successfully',
+    data: {
+      job
+    }
+  });
+}));
+
+// @desc    Get job status history
+// @route   GET /api/jobs/:id/history
+// @access  Private
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id).select('user status applicationDate statusHistory');
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  // Check if job belongs to current user
+  if (job.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to access this job', 403);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      status: job.status,
+      applicationDate: job.applicationDate,
+      history: job.getStatusTimeline()
+    }
+  });
+}));
+
+// @desc    Get job activity timeline
+// @route   GET /api/jobs/:id/activity
+// @access  Private
+router.get('/:id/activity', activityPageValidators, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user);
+  const filter = activityTypeFilter({ user: req.user._id, job: job._id }, req.query.type);
+
+  const { activities, nextCursor } = await Activity.findPage(filter, {
+    limit: parseInt(req.query.limit) || 20,
+    cursor: req.query.cursor
+  });
+
+  res.json({
+    success: true,
+    data: {
+      activities,
+      nextCursor
+    }
+  });
+}));
+
+// @desc    Add a note or a sent email to the job activity timeline
+// @route   POST /api/jobs/:id/activity
+// @access  Private
+router.post('/:id/activity', [
+  body('type').optional().isIn(MANUAL_ACTIVITY_TYPES).withMessage(`Type must be one of: ${MANUAL_ACTIVITY_TYPES.join(', ')}`),
+  body('summary').trim().isLength({ min: 1, max: 2000 }).withMessage('Summary is required and must be less than 2000 characters'),
+  body('occurredAt').optional().isISO8601().withMessage('occurredAt must be a valid date').custom(value => {
+    if (new Date(value) > new Date()) {
+      throw new Error('occurredAt cannot be in the future');
+    }
+    return true;
+  })
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+
+  const activity = await Activity.create({
+    user: req.user._id,
+    job: job._id,
+    type: req.body.type || 'note',
+    summary: req.body.summary,
+    occurredAt: req.body.occurredAt || new Date()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Activity added successfully',
+    data: {
+      activity
+    }
+  });
+}));
+
+// @desc    Get job tasks
+// @route   GET /api/jobs/:id/tasks
+// @access  Private
+router.get('/:id/tasks', [
+  query('completed').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user);
+
+  const filter = { job: job._id };
+  if (req.query.completed !== undefined) {
+    filter.completedAt = req.query.completed === 'true' ? { $ne: null } : null;
+  }
+
+  // Open tasks first, then by due date with undated tasks last
+  const tasks = (await Task.find(filter).sort({ dueDate: 1, createdAt: 1 }))
+    .sort((a, b) => (a.completed - b.completed) || ((a.dueDate == null) - (b.dueDate == null)));
+
+  res.json({
+    success: true,
+    data: {
+      tasks
+    }
+  });
+}));
+
+// @desc    Add task to job
+// @route   POST /api/jobs/:id/tasks
+// @access  Private
+router.post('/:id/tasks', taskValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+
+  if (await Task.countDocuments({ job: job._id }) >= MAX_TASKS_PER_JOB) {
+    throw new AppError(`A job can have at most ${MAX_TASKS_PER_JOB} tasks`, 400);
+  }
+
+  const task = new Task({ user: req.user._id, job: job._id });
+  applyTaskFields(task, req.body);
+  await task.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Task added successfully',
+    data: {
+      task
+    }
+  });
+}));
+
+// @desc    Add a stage's checklist to the job (the job's current stage by default)
+// @route   POST /api/jobs/:id/tasks/checklist
+// @access  Private
+router.post('/:id/tasks/checklist', [
+  body('stage').optional().trim().isLength({ min: 1, max: 50 })
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const stage = req.body.stage || job.stage;
+  const checklist = req.user.getChecklist(stage);
+
+  if (!checklist) {
+    throw new AppError(`No checklist is set up for stage ${stage}`, 404);
+  }
+
+  const tasks = await Task.applyChecklist(job, checklist);
+
+  res.status(201).json({
+    success: true,
+    message: `Added ${tasks.length} task(s) from the ${stage} checklist`,
+    data: {
+      tasks
+    }
+  });
+}));
+
+// @desc    Update task (e.g. mark it done)
+// @route   PATCH /api/jobs/:id/tasks/:taskId
+// @access  Private
+router.patch('/:id/tasks/:taskId', taskValidators({ partial: true }), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const task = await getJobTask(job, req.params.taskId);
+
+  applyTaskFields(task, req.body);
+  await task.save();
+
+  res.json({
+    success: true,
+    message: 'Task updated successfully',
+    data: {
+      task
+    }
+  });
+}));
+
+// @desc    Delete task
+// @route   DELETE /api/jobs/:id/tasks/:taskId
+// @access  Private
+router.delete('/:id/tasks/:taskId', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const task = await getJobTask(job, req.params.taskId);
+
+  await task.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Task deleted successfully'
+  });
+}));
+
+// @desc    Add interview to job
+// @route   POST /api/jobs/:id/interviews
+// @access  Private
+router.post('/:id/interviews', interviewValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let job = await Job.findById(req.params.id);
+  
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  // Check if job belongs to current user
+  if (job.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to update this job', 403);
+  }
+
+  job.setOwner(req.user);
+
+  // Add interview
+  job.interviewDates.push({
+    ...pickInterviewFields(req.body),
+    outcome: req.body.outcome || 'pending'
+  });
+  logInterviewAdded(job, job.interviewDates[job.interviewDates.length - 1]);
+
+  // Update status to interviewing if not already
+  markInterviewing(job, req.user);
+
+  await job.save();
+  
+  // Populate user data
+  await populateUser(job, req.query);
+
+  res.json({
+    success: true,
+    message: 'Interview added successfully',
+    data: {
+      job
+    }
+  });
+}));
+
+// Replace (PUT) or partially update (PATCH) an interview round
+const updateInterview = (replace) => asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const interview = job.interviewDates.id(req.params.interviewId);
 
-  // Build query
-  const query = { user: req.user._id };
-  
-  if (status) {
-    query.status = status;
-  }
-  
-  if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { company: { $regex: search, $options: 'i' } },
-      { location: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } }
-    ];
+  if (!interview) {
+    throw new AppError('Interview not found', 404);
   }
 
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+  const updates = pickInterviewFields(req.body);
 
-  // Calculate pagination
-  const skip = (page - 1) * limit;
+  if (replace) {
+    // Clear optional fields that were left out of the replacement
+    INTERVIEW_FIELDS.forEach(field => {
+      if (!(field in updates)) {
+        interview.set(field, field === 'interviewers' ? [] : undefined);
+      }
+    });
+    updates.outcome = updates.outcome || 'pending';
+  }
 
-  // Execute query
-  const jobs = await Job.find(query)
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .populate('user', 'firstName lastName email');
+  interview.set(updates);
+  await job.save();
 
-  // Get total count for pagination
-  const total = await Job.countDocuments(query);
+  // Populate user data
+  await populateUser(job, req.query);
 
   res.json({
     success: true,
+    message: 'Interview updated successfully',
     data: {
-      jobs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      interview,
+      job
     }
   });
-}));
+});
 
-// @desc    Get single job
-// @route   GET /api/jobs/:id
+// @desc    Replace interview
+// @route   PUT /api/jobs/:id/interviews/:interviewId
 // @access  Private
-router.get('/:id', asyncHandler(async (req, res) => {
-  const job = await Job.findById(req.params.id).populate('user', 'firstName lastName email');
-  
-  if (!job) {
-    throw new AppError('Job not found', 404);
-  }
+router.put('/:id/interviews/:interviewId', interviewValidators(), updateInterview(true));
 
-  // Check if job belongs to current user
-  if (job.user._id.toString() !== req.user._id.toString()) {
-    throw new AppError('Not authorized to access this job', 403);
+// @desc    Update interview (e.g. record its outcome)
+// @route   PATCH /api/jobs/:id/interviews/:interviewId
+// @access  Private
+router.patch('/:id/interviews/:interviewId', interviewValidators({ partial: true }), updateInterview(false));
+
+// @desc    Delete interview
+// @route   DELETE /api/jobs/:id/interviews/:interviewId
+// @access  Private
+router.delete('/:id/interviews/:interviewId', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const interview = job.interviewDates.id(req.params.interviewId);
+
+  if (!interview) {
+    throw new AppError('Interview not found', 404);
   }
 
+  interview.deleteOne();
+  await job.save();
+
+  // Populate user data
+  await populateUser(job, req.query);
+
   res.json({
     success: true,
+    message: 'Interview deleted successfully',
     data: {
       job
     }
   });
 }));
 
-// @desc    Create new job
-// @route   POST /api/jobs
+// @desc    Download interview as an .ics file
+// @route   GET /api/jobs/:id/interviews/:interviewId/ics
 // @access  Private
-router.post('/', [
-  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Job title is required and must be less than 100 characters'),
-  body('company').trim().isLength({ min: 1, max: 100 }).withMessage('Company name is required and must be less than 100 characters'),
-  body('location').optional().trim().isLength({ max: 100 }),
-  body('status').optional().isIn(['applied', 'interviewing', 'offered', 'rejected', 'withdrawn']),
-  body('salary').optional().trim().isLength({ max: 50 }),
-  body('description').optional().trim().isLength({ max: 1000 }),
-  body('requirements').optional().trim().isLength({ max: 1000 }),
-  body('applicationDate').isISO8601().withMessage('Valid application date is required'),
-  body('jobUrl').optional().isURL().withMessage('Please provide a valid URL'),
-  body('contactPerson').optional().trim().isLength({ max: 100 }),
-  body('contactEmail').optional().isEmail().withMessage('Please provide a valid email'),
-  body('contactPhone').optional().trim().isLength({ max: 20 }),
-  body('notes').optional().trim().isLength({ max: 1000 }),
-  body('tags').optional().isArray(),
-  body('priority').optional().isIn(['low', 'medium', 'high']),
-  body('followUpDate').optional().isISO8601()
-], asyncHandler(async (req, res) => {
+router.get('/:id/interviews/:interviewId/ics', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user);
+  const interview = job.interviewDates.id(req.params.interviewId);
+
+  if (!interview) {
+    throw new AppError('Interview not found', 404);
+  }
+
+  const calendar = buildCalendar([buildInterviewEvent(job, interview)]);
+  sendCalendar(res, calendar, `interview-${interview._id}.ics`);
+}));
+
+// Create or replace (PUT) or partially update (PATCH) a job's offer
+const saveOffer = (replace) => asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -140,256 +1751,159 @@ router.post('/', [
     });
   }
 
-  // Add user to job data
-  const jobData = {
-    ...req.body,
-    user: req.user._id
-  };
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const fields = pickOfferFields(req.body);
+
+  if (replace) {
+    job.offer = fields;
+  } else {
+    if (!job.offer) {
+      throw new AppError('Offer not found', 404);
+    }
+    // Merge equity and ratings key by key rather than replacing them
+    Object.entries(fields).forEach(([field, value]) => {
+      if (['equity', 'ratings'].includes(field)) {
+        Object.entries(value).forEach(([key, nested]) => job.offer.set(`${field}.${key}`, nested));
+      } else {
+        job.offer.set(field, value);
+      }
+    });
+  }
+
+  // Recording an offer moves the job along the pipeline
+  markOffered(job, req.user);
+
+  await job.save();
 
-  const job = await Job.create(jobData);
-  
   // Populate user data
-  await job.populate('user', 'firstName lastName email');
+  await populateUser(job, req.query);
 
-  res.status(201).json({
+  res.json({
     success: true,
-    message: 'Job created successfully',
+    message: 'Offer saved successfully',
     data: {
+      offer: job.offer,
       job
     }
   });
-}));
+});
 
-// @desc    Update job
-// @route   PUT /api/jobs/:id
+// @desc    Record or replace the offer for a job
+// @route   PUT /api/jobs/:id/offer
 // @access  Private
-router.put('/:id', [
-  body('title').optional().trim().isLength({ min: 1, max: 100 }),
-  body('company').optional().trim().isLength({ min: 1, max: 100 }),
-  body('location').optional().trim().isLength({ max: 100 }),
-  body('status').optional().isIn(['applied', 'interviewing', 'offered', 'rejected', 'withdrawn']),
-  body('salary').optional().trim().isLength({ max: 50 }),
-  body('description').optional().trim().isLength({ max: 1000 }),
-  body('requirements').optional().trim().isLength({ max: 1000 }),
-  body('applicationDate').optional().isISO8601(),
-  body('jobUrl').optional().isURL(),
-  body('contactPerson').optional().trim().isLength({ max: 100 }),
-  body('contactEmail').optional().isEmail(),
-  body('contactPhone').optional().trim().isLength({ max: 20 }),
-  body('notes').optional().trim().isLength({ max: 1000 }),
-  body('tags').optional().isArray(),
-  body('priority').optional().isIn(['low', 'medium', 'high']),
-  body('followUpDate').optional().isISO8601()
-], asyncHandler(async (req, res) => {
-  try {
-    console.log(`🔍 Updating job with ID: ${req.params.id}`);
-    console.log(`🔍 Update data received:`, req.body);
-    
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      console.log(`❌ Validation errors:`, errors.array());
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    let job = await Job.findById(req.params.id);
-    
-    if (!job) {
-      console.log(`❌ Job not found with ID: ${req.params.id}`);
-      throw new AppError('Job not found', 404);
-    }
-
-    console.log(`🔍 Found job: ${job.title} at ${job.company}`);
-
-    // Check if job belongs to current user
-    if (job.user.toString() !== req.user._id.toString()) {
-      console.log(`❌ Unauthorized update attempt. Job user: ${job.user}, Request user: ${req.user._id}`);
-      throw new AppError('Not authorized to update this job', 403);
-    }
+router.put('/:id/offer', offerValidators(), saveOffer(true));
 
-    console.log(`✅ Authorized to update job. Proceeding with update...`);
-    
-    // Update job
-    job = await Job.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('user', 'firstName lastName email');
+// @desc    Update the offer (e.g. a new deadline or its status)
+// @route   PATCH /api/jobs/:id/offer
+// @access  Private
+router.patch('/:id/offer', offerValidators({ partial: true }), saveOffer(false));
 
-    console.log(`✅ Job updated successfully:`, job);
+// @desc    Remove the offer from a job
+// @route   DELETE /api/jobs/:id/offer
+// @access  Private
+router.delete('/:id/offer', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
 
-    res.json({
-      success: true,
-      message: 'Job updated successfully',
-      data: {
-        job
-      }
-    });
-  } catch (error) {
-    console.error('❌ Error in update job route:', error);
-    throw error;
+  if (!job.offer) {
+    throw new AppError('Offer not found', 404);
   }
-}));
 
-// @desc    Delete job
-// @route   DELETE /api/jobs/:id
-// @access  Private
-router.delete('/:id', asyncHandler(async (req, res) => {
-  console.log(`🔍 Attempting to delete job with ID: ${req.params.id}`);
-  
-  try {
-    // Simple and direct approach
-    const job = await Job.findById(req.params.id);
-    
-    if (!job) {
-      console.log(`❌ Job not found with ID: ${req.params.id}`);
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
+  job.offer = undefined;
+  await job.save();
 
-    console.log(`🔍 Found job: ${job.title} at ${job.company}`);
+  // Populate user data
+  await populateUser(job, req.query);
 
-    // Check if job belongs to current user
-    if (job.user.toString() !== req.user._id.toString()) {
-      console.log(`❌ Unauthorized delete attempt. Job user: ${job.user}, Request user: ${req.user._id}`);
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this job'
-      });
+  res.json({
+    success: true,
+    message: 'Offer deleted successfully',
+    data: {
+      job
     }
-
-    console.log(`✅ Authorized to delete job. Proceeding with deletion...`);
-    
-    // Delete the job directly
-    await Job.findByIdAndDelete(req.params.id);
-    
-    console.log(`✅ Job deleted successfully`);
-
-    res.json({
-      success: true,
-      message: 'Job deleted successfully'
-    });
-    
-  } catch (error) {
-    console.error('❌ Error in delete job route:', error);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete job',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  });
 }));
 
-// @desc    Update job status
-// @route   PATCH /api/jobs/:id/status
+// @desc    Upload attachment to job
+// @route   POST /api/jobs/:id/attachments
 // @access  Private
-router.patch('/:id/status', [
-  body('status').isIn(['applied', 'interviewing', 'offered', 'rejected', 'withdrawn']).withMessage('Valid status is required')
-], asyncHandler(async (req, res) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
+router.post('/:id/attachments', handleUpload(attachmentUpload.single('file')), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('A file is required (form field "file")', 400);
   }
 
-  const { status } = req.body;
-
-  let job = await Job.findById(req.params.id);
-  
-  if (!job) {
-    throw new AppError('Job not found', 404);
+  const category = req.body.category || 'other';
+  if (!['resume', 'cover-letter', 'offer-letter', 'other'].includes(category)) {
+    throw new AppError('Category must be resume, cover-letter, offer-letter or other', 400);
   }
 
-  // Check if job belongs to current user
-  if (job.user.toString() !== req.user._id.toString()) {
-    throw new AppError('Not authorized to update this job', 403);
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+
+  if (job.attachments.length >= MAX_ATTACHMENTS) {
+    throw new AppError(`A job can have at most ${MAX_ATTACHMENTS} attachments`, 400);
   }
 
-  // Update status using instance method
-  await job.updateStatus(status);
-  
-  // Populate user data
-  await job.populate('user', 'firstName lastName email');
+  const attachment = job.attachments.create({ category });
+  const key = buildStorageKey(req.user._id, `jobs/${job._id}`, req.file.originalname);
+  const url = `/api/jobs/${job._id}/attachments/${attachment._id}/download`;
 
-  res.json({
+  attachment.set(await storeUpload(req.file, key, url));
+  job.attachments.push(attachment);
+  job.logActivity('attachment-uploaded', `Uploaded ${attachment.originalName}`, {
+    attachmentId: attachment._id,
+    originalName: attachment.originalName,
+    category
+  });
+
+  try {
+    await job.save();
+  } catch (error) {
+    await removeStoredFiles([key]);
+    throw error;
+  }
+
+  res.status(201).json({
     success: true,
-    message: 'Job status updated successfully',
+    message: 'Attachment uploaded successfully',
     data: {
-      job
+      attachment
     }
   });
 }));
 
-// @desc    Add interview to job
-// @route   POST /api/jobs/:id/interviews
+// @desc    Download job attachment
+// @route   GET /api/jobs/:id/attachments/:attachmentId/download
 // @access  Private
-router.post('/:id/interviews', [
-  body('date').isISO8601().withMessage('Valid interview date is required'),
-  body('type').isIn(['phone', 'video', 'onsite', 'technical', 'behavioral']).withMessage('Valid interview type is required'),
-  body('notes').optional().trim().isLength({ max: 500 }),
-  body('outcome').optional().isIn(['passed', 'failed', 'pending'])
-], asyncHandler(async (req, res) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
-  }
+router.get('/:id/attachments/:attachmentId/download', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user);
+  const attachment = job.attachments.id(req.params.attachmentId);
 
-  const { date, type, notes, outcome } = req.body;
-
-  let job = await Job.findById(req.params.id);
-  
-  if (!job) {
-    throw new AppError('Job not found', 404);
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
   }
 
-  // Check if job belongs to current user
-  if (job.user.toString() !== req.user._id.toString()) {
-    throw new AppError('Not authorized to update this job', 403);
-  }
+  await sendStoredFile(res, attachment);
+}));
 
-  // Add interview
-  job.interviewDates.push({
-    date,
-    type,
-    notes,
-    outcome: outcome || 'pending'
-  });
+// @desc    Delete job attachment
+// @route   DELETE /api/jobs/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', asyncHandler(async (req, res) => {
+  const job = await getOwnedJob(req.params.id, req.user, 'update');
+  const attachment = job.attachments.id(req.params.attachmentId);
 
-  // Update status to interviewing if not already
-  if (job.status === 'applied') {
-    job.status = 'interviewing';
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
   }
 
+  const key = attachment.filename;
+  attachment.deleteOne();
   await job.save();
-  
-  // Populate user data
-  await job.populate('user', 'firstName lastName email');
+
+  await removeStoredFiles([key]);
 
   res.json({
     success: true,
-    message: 'Interview added successfully',
-    data: {
-      job
-    }
+    message: 'Attachment deleted successfully'
   });
 }));
 
@@ -1,11 +1,32 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Job = require('../models/Job');
+const Contact = require('../models/Contact');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
 const { protect } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/error');
+const { resumeUpload, handleUpload } = require('../middleware/upload');
+const { buildStorageKey, storeUpload, removeStoredFiles, sendStoredFile } = require('../services/storage');
+const { JOB_STATUSES, toStageKey } = require('../config/jobStatus');
+const { SORT_FIELDS } = require('../config/jobSort');
+const { MAX_CHECKLIST_ITEMS, MAX_DUE_IN_DAYS } = require('../config/tasks');
+const {
+  FILTER_PARAMS,
+  pickFilterParams,
+  buildJobFilter,
+  jobFilterValidators
+} = require('../services/jobFilters');
+const { listJobs, jobPageValidators } = require('../services/jobListService');
+const { dueBy } = require('../services/contactService');
+const { notTrashed } = require('../services/trashService');
 
 const router = express.Router();
 
+// Maximum number of saved views per user
+const MAX_SAVED_VIEWS = 50;
+
 // Apply authentication to all routes
 router.use(protect);
 
@@ -76,7 +97,8 @@ router.put('/preferences', [
   body('salaryRange.max').optional().isNumeric(),
   body('salaryRange.currency').optional().isLength({ min: 3, max: 3 }),
   body('locations').optional().isArray(),
-  body('industries').optional().isArray()
+  body('industries').optional().isArray(),
+  body('offerReminders').optional().isBoolean().toBoolean()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -97,6 +119,9 @@ router.put('/preferences', [
     }
   ).select('-password');
 
+  // Re-flag jobs paying below the (possibly new) target salary
+  await Job.refreshSalaryFlags(user._id, user.preferences.salaryRange);
+
   res.json({
     success: true,
     message: 'Preferences updated successfully',
@@ -106,6 +131,203 @@ router.put('/preferences', [
   });
 }));
 
+// @desc    Get pipeline stages
+// @route   GET /api/users/pipeline
+// @access  Private
+router.get('/pipeline', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      stages: req.user.getPipeline(),
+      categories: JOB_STATUSES,
+      isDefault: req.user.pipelineStages.length === 0
+    }
+  });
+}));
+
+// @desc    Replace pipeline stages
+// @route   PUT /api/users/pipeline
+// @access  Private
+router.put('/pipeline', [
+  body('stages').isArray({ min: 1, max: 30 }).withMessage('Stages must be a list of 1 to 30 stages'),
+  body('stages.*.name').trim().isLength({ min: 1, max: 50 }).withMessage('Stage name is required and must be less than 50 characters'),
+  body('stages.*.key').optional().trim().isLength({ min: 1, max: 50 }),
+  body('stages.*.category').isIn(JOB_STATUSES).withMessage(`Stage category must be one of: ${JOB_STATUSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const stages = req.body.stages.map(stage => ({
+    key: toStageKey(stage.key || stage.name),
+    name: stage.name,
+    category: stage.category
+  }));
+
+  const keys = stages.map(stage => stage.key);
+  if (keys.some(key => !key)) {
+    throw new AppError('Stage names must contain letters or numbers', 400);
+  }
+  if (new Set(keys).size !== keys.length) {
+    throw new AppError('Stage names must be unique', 400);
+  }
+
+  const previous = req.user.getPipeline();
+
+  // A stage that jobs sit in cannot silently change category
+  for (const stage of stages) {
+    const existing = previous.find(item => item.key === stage.key);
+    if (existing && existing.category !== stage.category) {
+      const inUse = await Job.countDocuments({ user: req.user._id, stage: stage.key });
+      if (inUse > 0) {
+        throw new AppError(`Stage "${existing.name}" is used by ${inUse} job(s) and cannot change category`, 409);
+      }
+    }
+  }
+
+  const user = await User.findById(req.user._id);
+  user.pipelineStages = stages;
+  // Checklists of removed stages go with them
+  user.checklistTemplates = user.checklistTemplates.filter(checklist => keys.includes(checklist.stage));
+  await user.save();
+
+  // Jobs in removed stages move to the first remaining stage of the same category
+  const removed = previous.filter(stage => !keys.includes(stage.key));
+  for (const stage of removed) {
+    const replacement = user.resolveStage(stage.category);
+    await Job.updateMany(
+      {
+        user: req.user._id,
+        $or: [
+          { stage: stage.key },
+          { stage: null, status: stage.category }
+        ]
+      },
+      { $set: { stage: replacement.key } }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: 'Pipeline updated successfully',
+    data: {
+      stages: user.getPipeline()
+    }
+  });
+}));
+
+// @desc    Get stage checklists
+// @route   GET /api/users/checklists
+// @access  Private
+router.get('/checklists', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      checklists: req.user.checklistTemplates,
+      stages: req.user.getPipeline()
+    }
+  });
+}));
+
+// @desc    Replace stage checklists
+// @route   PUT /api/users/checklists
+// @access  Private
+router.put('/checklists', [
+  body('checklists').isArray({ max: 30 }).withMessage('Checklists must be a list of at most 30 checklists'),
+  body('checklists.*.stage').trim().isLength({ min: 1, max: 50 }).withMessage('Each checklist needs a stage'),
+  body('checklists.*.items').isArray({ min: 1, max: MAX_CHECKLIST_ITEMS }).withMessage(`Each checklist needs 1 to ${MAX_CHECKLIST_ITEMS} items`),
+  body('checklists.*.items.*.title').trim().isLength({ min: 1, max: 200 }).withMessage('Checklist item title is required and must be less than 200 characters'),
+  body('checklists.*.items.*.dueInDays').optional({ values: 'null' }).isInt({ min: 0, max: MAX_DUE_IN_DAYS })
+    .withMessage(`Due days must be between 0 and ${MAX_DUE_IN_DAYS}`).toInt()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const keys = req.user.getPipeline().map(stage => stage.key);
+  const checklists = req.body.checklists.map(checklist => ({
+    stage: checklist.stage.toLowerCase(),
+    items: checklist.items.map(item => ({ title: item.title, dueInDays: item.dueInDays }))
+  }));
+
+  const unknown = checklists.find(checklist => !keys.includes(checklist.stage));
+  if (unknown) {
+    throw new AppError(`Unknown pipeline stage: ${unknown.stage}`, 400);
+  }
+  if (new Set(checklists.map(checklist => checklist.stage)).size !== checklists.length) {
+    throw new AppError('Each stage can only have one checklist', 400);
+  }
+
+  const user = await User.findById(req.user._id);
+  user.checklistTemplates = checklists;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Checklists updated successfully',
+    data: {
+      checklists: user.checklistTemplates
+    }
+  });
+}));
+
+// @desc    Get open tasks due across all jobs
+// @route   GET /api/users/tasks
+// @access  Private
+router.get('/tasks', [
+  query('days').optional().isInt({ min: 0, max: MAX_DUE_IN_DAYS }).withMessage(`Days must be between 0 and ${MAX_DUE_IN_DAYS}`),
+  query('includeUndated').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Due by the end of today by default, overdue tasks included
+  const cutoff = dueBy(parseInt(req.query.days) || 0);
+  const dueDate = req.query.includeUndated === 'true'
+    ? { $not: { $gt: cutoff } }
+    : { $lte: cutoff };
+
+  const tasks = await Task.find({
+    user: req.user._id,
+    // Leave out jobs in the trash
+    job: await notTrashed(req.user._id),
+    completedAt: null,
+    dueDate
+  })
+    .sort({ dueDate: 1, createdAt: 1 })
+    .populate('job', 'title company status stage');
+
+  const now = new Date();
+
+  res.json({
+    success: true,
+    data: {
+      dueBy: cutoff,
+      overdue: tasks.filter(task => task.dueDate && task.dueDate < now).length,
+      tasks
+    }
+  });
+}));
+
 // @desc    Add education
 // @route   POST /api/users/education
 // @access  Private
@@ -216,30 +438,32 @@ router.delete('/education/:educationId', asyncHandler(async (req, res) => {
 // @desc    Upload resume
 // @route   POST /api/users/resume
 // @access  Private
-router.post('/resume', asyncHandler(async (req, res) => {
-  // This would typically handle file upload using multer
-  // For now, we'll just update the resume field with the provided data
-  
-  const { filename, originalName, mimetype, size, url } = req.body;
-
-  if (!filename || !originalName || !mimetype || !size || !url) {
-    throw new AppError('All resume fields are required', 400);
+router.post('/resume', handleUpload(resumeUpload.single('resume')), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('A resume file is required (form field "resume")', 400);
   }
 
-  const user = await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      resume: {
-        filename,
-        originalName,
-        mimetype,
-        size,
-        url,
-        uploadedAt: new Date()
-      }
-    },
-    { new: true }
-  ).select('-password');
+  const previous = req.user.resume && req.user.resume.filename;
+
+  const key = buildStorageKey(req.user._id, 'resume', req.file.originalname);
+  const resume = await storeUpload(req.file, key, '/api/users/resume/download');
+
+  let user;
+  try {
+    user = await User.findByIdAndUpdate(
+      req.user._id,
+      { resume },
+      { new: true }
+    ).select('-password');
+  } catch (error) {
+    await removeStoredFiles([key]);
+    throw error;
+  }
+
+  // Replace the old file only once the new one is saved
+  if (previous && previous !== key) {
+    await removeStoredFiles([previous]);
+  }
 
   res.json({
     success: true,
@@ -250,16 +474,31 @@ router.post('/resume', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Download resume
+// @route   GET /api/users/resume/download
+// @access  Private
+router.get('/resume/download', asyncHandler(async (req, res) => {
+  if (!req.user.resume || !req.user.resume.filename) {
+    throw new AppError('No resume uploaded', 404);
+  }
+
+  await sendStoredFile(res, req.user.resume);
+}));
+
 // @desc    Delete resume
 // @route   DELETE /api/users/resume
 // @access  Private
 router.delete('/resume', asyncHandler(async (req, res) => {
+  const previous = req.user.resume && req.user.resume.filename;
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     { $unset: { resume: 1 } },
     { new: true }
   ).select('-password');
 
+  await removeStoredFiles([previous]);
+
   res.json({
     success: true,
     message: 'Resume deleted successfully',
@@ -269,6 +508,240 @@ router.delete('/resume', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Create (or rotate) calendar feed URL
+// @route   POST /api/users/calendar/token
+// @access  Private
+router.post('/calendar/token', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const token = user.createCalendarToken();
+  await user.save();
+
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Keep this URL private; creating a new one revokes the old URL.',
+    data: {
+      url: `${baseUrl}/api/calendar/${token}.ics`
+    }
+  });
+}));
+
+// @desc    Revoke calendar feed URL
+// @route   DELETE /api/users/calendar/token
+// @access  Private
+router.delete('/calendar/token', asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user._id, { $unset: { calendarToken: 1 } });
+
+  res.json({
+    success: true,
+    message: 'Calendar feed revoked successfully'
+  });
+}));
+
+// Validation rules for a saved view (all optional when updating)
+const savedViewValidators = ({ partial = false } = {}) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('View name is required and cannot exceed 50 characters'),
+  body('filters').optional().isObject().withMessage('Filters must be an object').custom(filters => {
+    const unknown = Object.keys(filters).filter(key => !FILTER_PARAMS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown filters: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  ...jobFilterValidators(body, 'filters.'),
+  body('sortBy').optional().isIn(SORT_FIELDS).withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')}`),
+  body('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
+// Reject a view name another of the user's views already uses
+const assertUniqueViewName = (user, name, viewId) => {
+  const taken = user.savedViews.some(view =>
+    view.name.toLowerCase() === name.toLowerCase() && view._id.toString() !== String(viewId)
+  );
+
+  if (taken) {
+    throw new AppError(`A view named "${name}" already exists`, 409);
+  }
+};
+
+const getSavedView = (user, viewId) => {
+  const view = user.savedViews.id(viewId);
+
+  if (!view) {
+    throw new AppError('Saved view not found', 404);
+  }
+
+  return view;
+};
+
+// @desc    Get saved job views
+// @route   GET /api/users/views
+// @access  Private
+router.get('/views', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('savedViews');
+
+  res.json({
+    success: true,
+    data: {
+      views: user.savedViews
+    }
+  });
+}));
+
+// @desc    Get the number of jobs in each saved view
+// @route   GET /api/users/views/counts
+// @access  Private
+router.get('/views/counts', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('savedViews');
+
+  const counts = await Promise.all(user.savedViews.map(async view => ({
+    _id: view._id,
+    name: view.name,
+    count: await Job.countDocuments(buildJobFilter(req.user._id, view.filters))
+  })));
+
+  res.json({
+    success: true,
+    data: {
+      counts
+    }
+  });
+}));
+
+// @desc    Save a job view
+// @route   POST /api/users/views
+// @access  Private
+router.post('/views', savedViewValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('savedViews');
+
+  if (user.savedViews.length >= MAX_SAVED_VIEWS) {
+    throw new AppError(`You can save at most ${MAX_SAVED_VIEWS} views`, 400);
+  }
+
+  const { name, filters, sortBy, sortOrder } = req.body;
+  assertUniqueViewName(user, name);
+
+  user.savedViews.push({ name, filters: pickFilterParams(filters), sortBy, sortOrder });
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'View saved successfully',
+    data: {
+      view: user.savedViews[user.savedViews.length - 1]
+    }
+  });
+}));
+
+// @desc    Update a saved job view
+// @route   PUT /api/users/views/:viewId
+// @access  Private
+router.put('/views/:viewId', savedViewValidators({ partial: true }), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('savedViews');
+  const view = getSavedView(user, req.params.viewId);
+  const { name, filters, sortBy, sortOrder } = req.body;
+
+  if (name !== undefined) {
+    assertUniqueViewName(user, name, view._id);
+    view.name = name;
+  }
+  if (filters !== undefined) view.filters = pickFilterParams(filters);
+  if (sortBy !== undefined) view.sortBy = sortBy;
+  if (sortOrder !== undefined) view.sortOrder = sortOrder;
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'View updated successfully',
+    data: {
+      view
+    }
+  });
+}));
+
+// @desc    Delete a saved job view
+// @route   DELETE /api/users/views/:viewId
+// @access  Private
+router.delete('/views/:viewId', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('savedViews');
+  const view = getSavedView(user, req.params.viewId);
+
+  view.deleteOne();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'View deleted successfully'
+  });
+}));
+
+// @desc    Get the jobs in a saved view
+// @route   GET /api/users/views/:viewId/jobs
+// @access  Private
+router.get('/views/:viewId/jobs', jobPageValidators(), asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('savedViews');
+  const view = getSavedView(user, req.params.viewId);
+
+  // The view supplies the filter and sort; paging and shape come from the request
+  const { page, limit, paginate, cursor, fields, populate } = req.query;
+
+  const { jobs, pagination } = await listJobs(req.user._id, {
+    ...view.filters,
+    sortBy: view.sortBy,
+    sortOrder: view.sortOrder,
+    page,
+    limit,
+    paginate,
+    cursor,
+    fields,
+    populate
+  });
+
+  res.json({
+    success: true,
+    data: {
+      view,
+      jobs,
+      pagination
+    }
+  });
+}));
+
 // @desc    Get user dashboard data
 // @route   GET /api/users/dashboard
 // @access  Private
@@ -302,13 +775,54 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     .limit(5)
     .select('title company followUpDate');
 
+  // Get open offers with the nearest deadlines
+  const offerDeadlines = await Job.find({
+    user: req.user._id,
+    'offer.status': { $in: ['pending', 'negotiating'] },
+    'offer.expiresAt': { $gte: new Date() }
+  })
+    .sort({ 'offer.expiresAt': 1 })
+    .limit(5)
+    .select('title company offer.status offer.expiresAt');
+
+  // Get contacts due for a follow-up
+  const contactFollowUps = await Contact.find({
+    user: req.user._id,
+    followUpDate: { $lte: dueBy(0) }
+  })
+    .sort({ followUpDate: 1 })
+    .limit(5)
+    .select('name role followUpDate lastContactedAt');
+
+  // Get the latest activity across jobs, leaving out jobs in the trash
+  const jobNotTrashed = await notTrashed(req.user._id);
+  const { activities: recentActivity } = await Activity.findPage(
+    { user: req.user._id, job: jobNotTrashed },
+    { limit: 10 }
+  );
+
+  // Get open tasks due by the end of today
+  const tasksDue = await Task.find({
+    user: req.user._id,
+    job: jobNotTrashed,
+    completedAt: null,
+    dueDate: { $lte: dueBy(0) }
+  })
+    .sort({ dueDate: 1 })
+    .limit(5)
+    .populate('job', 'title company');
+
   res.json({
     success: true,
     data: {
       user,
       recentJobs,
       upcomingInterviews,
-      followUpReminders
+      followUpReminders,
+      offerDeadlines,
+      contactFollowUps,
+      recentActivity,
+      tasksDue
     }
   });
 }));
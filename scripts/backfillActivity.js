@@ -0,0 +1,86 @@
+// Build the activity timeline of jobs created before it existed, from their
+// status history, interviews, attachments and current notes. Jobs that
+// already have activity are skipped, so the script can be run again.
+//
+// Usage: npm run db:backfill-activity [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Activity = require('../models/Activity');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The activities a job would have recorded had the timeline existed
+const buildActivities = (job) => [
+  ...(job.statusHistory || []).map(entry => ({
+    type: 'status-change',
+    summary: entry.from
+      ? `${entry.reopened ? 'Reopened' : 'Moved'} from ${entry.fromStage || entry.from} to ${entry.toStage || entry.to}`
+      : `Added as ${entry.toStage || entry.to}`,
+    details: {
+      from: entry.from,
+      to: entry.to,
+      fromStage: entry.fromStage,
+      toStage: entry.toStage,
+      note: entry.note,
+      reopened: entry.reopened
+    },
+    occurredAt: entry.changedAt
+  })),
+  ...(job.interviewDates || []).map(interview => ({
+    type: 'interview-added',
+    summary: `${interview.type} interview added`,
+    details: { interviewId: interview._id, date: interview.date, type: interview.type },
+    // When the round was added isn't recorded; the job's creation is the best guess
+    occurredAt: job.createdAt
+  })),
+  ...(job.attachments || []).map(attachment => ({
+    type: 'attachment-uploaded',
+    summary: `Uploaded ${attachment.originalName}`,
+    details: { attachmentId: attachment._id, originalName: attachment.originalName, category: attachment.category },
+    occurredAt: attachment.uploadedAt
+  })),
+  ...(job.notes ? [{
+    type: 'note',
+    summary: job.notes,
+    details: { source: 'job-notes' },
+    occurredAt: job.updatedAt
+  }] : [])
+].map(activity => ({ ...activity, user: job.user, job: job._id }));
+
+const backfillActivity = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/job-tracker');
+    console.log('✅ Connected to MongoDB');
+
+    const withActivity = await Activity.distinct('job');
+    const cursor = Job.find({ _id: { $nin: withActivity } })
+      .setOptions({ withDeleted: true })
+      .select('user notes statusHistory interviewDates attachments createdAt updatedAt')
+      .lean()
+      .cursor();
+
+    let jobs = 0;
+    let created = 0;
+
+    for await (const job of cursor) {
+      const activities = buildActivities(job);
+      if (activities.length === 0) continue;
+
+      if (!dryRun) {
+        await Activity.insertMany(activities);
+      }
+      jobs += 1;
+      created += activities.length;
+    }
+
+    console.log(`🔄 ${dryRun ? 'Would create' : 'Created'} ${created} activity entries for ${jobs} job(s)`);
+  } catch (error) {
+    console.error('❌ Error backfilling activity:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillActivity();
@@ -0,0 +1,92 @@
+// Match jobs saved before companies existed to a canonical company, creating
+// one per distinct (normalized) company name. Match keys of existing companies
+// are refreshed first, so keys stored by an older normalization still match.
+//
+// Usage: npm run db:link-companies [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { toMatchKeys } = require('../services/companyService');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const linkCompanies = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/job-tracker');
+    console.log('✅ Connected to MongoDB');
+
+    let refreshed = 0;
+    for await (const company of Company.find().select('+matchKeys').cursor()) {
+      const keys = toMatchKeys([company.name, ...company.aliases]);
+      if (keys.length === 0 || keys.join('\n') === company.matchKeys.join('\n')) continue;
+
+      refreshed += 1;
+      if (dryRun) continue;
+      try {
+        await Company.updateOne({ _id: company._id }, { $set: { matchKeys: keys } });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        console.log(`⚠️  ${company.name} (${company._id}) now matches another company; merge them`);
+      }
+    }
+    console.log(`🔄 ${dryRun ? 'Would refresh' : 'Refreshed'} match keys of ${refreshed} compan${refreshed === 1 ? 'y' : 'ies'}`);
+
+    // Trashed jobs too, so a restored job comes back linked
+    const cursor = Job.find({ companyId: null })
+      .setOptions({ withDeleted: true })
+      .select('user company')
+      .lean()
+      .cursor();
+
+    // Companies already resolved in this run, by user and match key
+    const resolved = new Map();
+    let updates = [];
+    let linked = 0;
+
+    const flush = async () => {
+      if (updates.length > 0 && !dryRun) {
+        await Job.bulkWrite(updates);
+      }
+      linked += updates.length;
+      updates = [];
+    };
+
+    for await (const job of cursor) {
+      const [key] = toMatchKeys([job.company]);
+      if (!key) continue;
+
+      const cacheKey = `${job.user}:${key}`;
+      if (!resolved.has(cacheKey)) {
+        const company = dryRun
+          ? await Company.findByName(job.user, job.company)
+          : await Company.resolve(job.user, job.company);
+        resolved.set(cacheKey, company ? company._id : null);
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: job._id },
+          update: { $set: { companyId: resolved.get(cacheKey) } }
+        }
+      });
+
+      if (updates.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    const created = [...resolved.values()].filter(id => id === null).length;
+    console.log(`🔄 ${dryRun ? 'Would link' : 'Linked'} ${linked} job(s) to ${resolved.size} compan${resolved.size === 1 ? 'y' : 'ies'}` +
+      (dryRun ? ` (${created} to be created)` : ''));
+  } catch (error) {
+    console.error('❌ Error linking companies:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+linkCompanies();
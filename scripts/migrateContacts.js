@@ -0,0 +1,84 @@
+// Turn the single contact stored on each job (contactPerson, contactEmail,
+// contactPhone) into Contact records linked to the job and its company. The
+// same person across several jobs becomes one contact, matched by email or
+// else by name. The job fields are left in place.
+//
+// Usage: npm run db:migrate-contacts [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Contact = require('../models/Contact');
+const { escapeRegex } = require('../services/jobFilters');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const contactKey = (userId, email, name) => `${userId}:${email ? `email:${email.toLowerCase()}` : `name:${name.trim().toLowerCase()}`}`;
+
+const migrateContacts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/job-tracker');
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Job.find({
+      $or: [
+        { contactPerson: { $nin: [null, ''] } },
+        { contactEmail: { $nin: [null, ''] } }
+      ]
+    })
+      .setOptions({ withDeleted: true })
+      .select('user companyId contactPerson contactEmail contactPhone')
+      .lean()
+      .cursor();
+
+    // Contacts created or found in this run, by user and email/name
+    const contacts = new Map();
+    let linked = 0;
+
+    for await (const job of cursor) {
+      const name = job.contactPerson || job.contactEmail;
+      const key = contactKey(job.user, job.contactEmail, name);
+
+      if (!contacts.has(key)) {
+        const existing = await Contact.findOne(job.contactEmail
+          ? { user: job.user, email: job.contactEmail.toLowerCase() }
+          : { user: job.user, name: { $regex: `^${escapeRegex(name.trim())}$`, $options: 'i' } });
+
+        contacts.set(key, existing || new Contact({
+          user: job.user,
+          name,
+          email: job.contactEmail || undefined,
+          phone: job.contactPhone || undefined
+        }));
+      }
+
+      const contact = contacts.get(key);
+      if (!contact.jobs.some(id => id.equals(job._id))) {
+        contact.jobs.push(job._id);
+        linked += 1;
+      }
+      if (job.companyId && !contact.companies.some(id => id.equals(job.companyId))) {
+        contact.companies.push(job.companyId);
+      }
+      if (!contact.phone && job.contactPhone) {
+        contact.phone = job.contactPhone;
+      }
+    }
+
+    const changed = [...contacts.values()].filter(contact => contact.isNew || contact.isModified());
+    const created = changed.filter(contact => contact.isNew).length;
+    if (!dryRun) {
+      for (const contact of changed) {
+        await contact.save();
+      }
+    }
+
+    console.log(`🔄 ${dryRun ? 'Would link' : 'Linked'} ${linked} job(s) to ${contacts.size} contact(s), ${created} of them new`);
+  } catch (error) {
+    console.error('❌ Error migrating contacts:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateContacts();
@@ -0,0 +1,79 @@
+// Fill in structured salary ranges for jobs saved before salaryRange existed.
+// Jobs whose salary text can't be parsed are left alone and listed at the end.
+//
+// Usage: npm run db:migrate-salaries [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { parseSalary, annualize, isBelowTarget } = require('../services/salaryService');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateSalaries = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/job-tracker');
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find().select('preferences.salaryRange').lean();
+    const targets = new Map(users.map(user => [user._id.toString(), user.preferences && user.preferences.salaryRange]));
+
+    // Trashed jobs too, so a restored job comes back with its range
+    const cursor = Job.find({
+      salary: { $nin: [null, ''] },
+      'salaryRange.annualMax': null
+    })
+      .setOptions({ withDeleted: true })
+      .select('user salary')
+      .lean()
+      .cursor();
+
+    let updates = [];
+    let migrated = 0;
+    const skipped = [];
+
+    const flush = async () => {
+      if (updates.length > 0 && !dryRun) {
+        await Job.bulkWrite(updates);
+      }
+      migrated += updates.length;
+      updates = [];
+    };
+
+    for await (const job of cursor) {
+      const parsed = parseSalary(job.salary);
+      if (!parsed) {
+        skipped.push(`${job._id} "${job.salary}"`);
+        continue;
+      }
+
+      const range = { ...parsed, ...annualize(parsed) };
+      range.belowTarget = isBelowTarget(range, targets.get(job.user.toString()));
+
+      updates.push({
+        updateOne: {
+          filter: { _id: job._id },
+          update: { $set: { salaryRange: range } }
+        }
+      });
+
+      if (updates.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`🔄 ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} job salaries`);
+    if (skipped.length > 0) {
+      console.log(`⚠️  Skipped ${skipped.length} unparseable salaries:\n  ${skipped.join('\n  ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Error migrating salaries:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateSalaries();
@@ -0,0 +1,32 @@
+// Bring database indexes in line with the model definitions.
+// Needed when an index definition changes, e.g. the job text index: MongoDB
+// only allows one text index per collection, so the old one must be dropped.
+//
+// Usage: npm run db:sync-indexes
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Contact = require('../models/Contact');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+
+const syncIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/job-tracker');
+    console.log('✅ Connected to MongoDB');
+
+    for (const model of [Job, User, Company, Contact, Activity, Task]) {
+      const dropped = await model.syncIndexes();
+      console.log(`🔄 ${model.modelName}: indexes synced${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+    }
+  } catch (error) {
+    console.error('❌ Error syncing indexes:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+syncIndexes();
@@ -7,10 +7,15 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { startTrashPurgeSchedule } = require('./services/trashService');
+const { startOfferReminderSchedule } = require('./services/offerReminderService');
 const authRoutes = require('./routes/auth');
 const jobRoutes = require('./routes/jobs');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
+const calendarRoutes = require('./routes/calendar');
+const companyRoutes = require('./routes/companies');
+const contactRoutes = require('./routes/contacts');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -141,6 +146,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -171,6 +179,12 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`🔒 CORS allowed origins:`, corsOptions.origin);
   console.log(`🌐 Frontend URL env var: ${process.env.FRONTEND_URL || 'not set'}`);
+
+  // Permanently remove jobs that have been in the trash too long
+  startTrashPurgeSchedule();
+
+  // Email users about offers that are about to expire
+  startOfferReminderSchedule();
 });
 
 module.exports = app;
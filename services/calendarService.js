@@ -0,0 +1,327 @@
+// iCalendar (RFC 5545) generation and parsing for interviews and follow-up reminders
+
+const PRODUCT_ID = '-//Job Tracker//Job Tracker API//EN';
+const UID_DOMAIN = 'job-tracker';
+const DEFAULT_INTERVIEW_MINUTES = 60;
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets, as required by the spec
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20240115T093000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20240115 (all-day)
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const property = (name, value) => (value === undefined || value === null || value === '' ? null : `${name}:${value}`);
+const textProperty = (name, value) => (value ? property(name, escapeText(value)) : null);
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Build a VEVENT for one interview round
+const buildInterviewEvent = (job, interview) => {
+  const start = new Date(interview.date);
+  const end = new Date(start.getTime() + (interview.durationMinutes || DEFAULT_INTERVIEW_MINUTES) * 60 * 1000);
+
+  const description = [
+    `${capitalize(interview.type)} interview for ${job.title} at ${job.company}`,
+    interview.interviewers && interview.interviewers.length > 0 && `Interviewers: ${interview.interviewers.join(', ')}`,
+    interview.meetingLink && `Meeting link: ${interview.meetingLink}`,
+    interview.prepNotes && `Prep notes: ${interview.prepNotes}`,
+    interview.notes && `Notes: ${interview.notes}`,
+    job.jobUrl && `Job posting: ${job.jobUrl}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    property('UID', `interview-${interview._id}@${UID_DOMAIN}`),
+    property('DTSTAMP', formatDateTime(job.updatedAt || new Date())),
+    property('LAST-MODIFIED', formatDateTime(job.updatedAt || new Date())),
+    property('DTSTART', formatDateTime(start)),
+    property('DTEND', formatDateTime(end)),
+    textProperty('SUMMARY', `${capitalize(interview.type)} interview: ${job.title} at ${job.company}`),
+    textProperty('LOCATION', interview.location || interview.meetingLink),
+    property('URL', interview.meetingLink),
+    textProperty('DESCRIPTION', description),
+    textProperty('CATEGORIES', 'Interview'),
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:-PT30M',
+    textProperty('DESCRIPTION', `Interview with ${job.company} in 30 minutes`),
+    'END:VALARM',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// Build a follow-up reminder as an all-day VEVENT or a VTODO
+const buildFollowUpReminder = (job, asTodo = false) => {
+  const summary = `Follow up: ${job.title} at ${job.company}`;
+  const description = [
+    job.contactPerson && `Contact: ${job.contactPerson}`,
+    job.contactEmail && `Email: ${job.contactEmail}`,
+    job.contactPhone && `Phone: ${job.contactPhone}`,
+    job.jobUrl && `Job posting: ${job.jobUrl}`
+  ].filter(Boolean).join('\n');
+
+  const common = [
+    property('UID', `followup-${job._id}@${UID_DOMAIN}`),
+    property('DTSTAMP', formatDateTime(job.updatedAt || new Date())),
+    property('LAST-MODIFIED', formatDateTime(job.updatedAt || new Date())),
+    textProperty('SUMMARY', summary),
+    textProperty('DESCRIPTION', description),
+    textProperty('CATEGORIES', 'Follow-up')
+  ];
+
+  if (asTodo) {
+    return [
+      'BEGIN:VTODO',
+      ...common,
+      property('DUE;VALUE=DATE', formatDate(job.followUpDate)),
+      'STATUS:NEEDS-ACTION',
+      'END:VTODO'
+    ].filter(Boolean);
+  }
+
+  const nextDay = new Date(job.followUpDate);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+  return [
+    'BEGIN:VEVENT',
+    ...common,
+    property('DTSTART;VALUE=DATE', formatDate(job.followUpDate)),
+    property('DTEND;VALUE=DATE', formatDate(nextDay)),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// Wrap components into a VCALENDAR document
+const buildCalendar = (components, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    textProperty('X-WR-CALNAME', name),
+    'X-PUBLISHED-TTL:PT1H',
+    ...components.flat(),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Build the full calendar feed for a user's jobs
+const buildJobsCalendar = (jobs, { name, followUpsAsTodos = false } = {}) => {
+  const components = [];
+
+  jobs.forEach(job => {
+    (job.interviewDates || []).forEach(interview => {
+      components.push(buildInterviewEvent(job, interview));
+    });
+
+    if (job.followUpDate) {
+      components.push(buildFollowUpReminder(job, followUpsAsTodos));
+    }
+  });
+
+  return buildCalendar(components, { name });
+};
+
+// Send a calendar document as a response
+const sendCalendar = (res, calendar, filename) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(calendar);
+};
+
+// Undo text escaping
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+// Offset in ms between UTC and the given IANA time zone at a point in time
+const timeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - date.getTime();
+};
+
+// Parse a DATE or DATE-TIME value. Returns { date, allDay, timeZoneAssumed }.
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined || params.VALUE === 'DATE') {
+    return { date: new Date(Date.UTC(year, month - 1, day)), allDay: true, timeZoneAssumed: false };
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (utc) {
+    return { date: new Date(wallClock), allDay: false, timeZoneAssumed: false };
+  }
+
+  // Local time in a named zone; fall back to UTC for zones Intl doesn't know
+  // (e.g. Windows names like "Pacific Standard Time")
+  if (params.TZID) {
+    try {
+      const offset = timeZoneOffset(new Date(wallClock), params.TZID);
+      const date = new Date(wallClock - offset);
+      // Re-check across DST boundaries
+      const correction = timeZoneOffset(date, params.TZID) - offset;
+      return { date: new Date(date.getTime() - correction), allDay: false, timeZoneAssumed: false };
+    } catch (error) {
+      // Unknown time zone
+    }
+  }
+
+  return { date: new Date(wallClock), allDay: false, timeZoneAssumed: true };
+};
+
+// Split a content line into name, parameters and value
+const parseContentLine = (line) => {
+  const match = /^([^:;]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+  if (!match) return null;
+
+  const [, name, rawParams, value] = match;
+  const params = {};
+  (rawParams.match(/;[^:;]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(param => {
+    const [key, ...rest] = param.slice(1).split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value };
+};
+
+const emailFrom = (value) => {
+  const match = /mailto:([^\s;]+)/i.exec(value);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Parse the VEVENTs of an .ics document into plain objects
+const parseCalendarEvents = (text) => {
+  // Unfold continuation lines
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let event = null;
+  let depth = 0; // nested components such as VALARM
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = { attendees: [] };
+      depth = 0;
+      return;
+    }
+    if (!event) return;
+
+    if (line === 'END:VEVENT') {
+      events.push(event);
+      event = null;
+      return;
+    }
+    if (line.startsWith('BEGIN:')) {
+      depth++;
+      return;
+    }
+    if (line.startsWith('END:')) {
+      depth--;
+      return;
+    }
+    if (depth > 0) return;
+
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    const { name, params, value } = property;
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+        event[name.toLowerCase()] = unescapeText(value);
+        break;
+      case 'URL':
+        event.url = value;
+        break;
+      case 'STATUS':
+        event.status = value.toUpperCase();
+        break;
+      case 'DTSTART':
+      case 'DTEND': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          event[name === 'DTSTART' ? 'start' : 'end'] = parsed.date;
+          if (name === 'DTSTART') {
+            event.allDay = parsed.allDay;
+            event.timeZoneAssumed = parsed.timeZoneAssumed;
+          }
+        }
+        break;
+      }
+      case 'ORGANIZER':
+        event.organizer = { name: params.CN || null, email: emailFrom(value) };
+        break;
+      case 'ATTENDEE':
+        event.attendees.push({ name: params.CN || null, email: emailFrom(value) });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events.filter(item => item.start);
+};
+
+module.exports = {
+  parseCalendarEvents,
+  buildInterviewEvent,
+  buildFollowUpReminder,
+  buildCalendar,
+  buildJobsCalendar,
+  sendCalendar
+};
@@ -0,0 +1,22 @@
+// Companies: canonical names and the aliases job company names are matched on
+
+const LEGAL_SUFFIXES = ['inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'sa', 'ag'];
+
+// Lower-case a company name and drop accents, punctuation and legal suffixes,
+// e.g. "Société Générale SA" -> "societe generale". Letters and digits of
+// any script are kept.
+const normalizeName = (name = '') => name
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !LEGAL_SUFFIXES.includes(word))
+  .join(' ');
+
+// Keys a company name or alias is matched on, e.g. "Google LLC" -> "google"
+const toMatchKeys = (names) => [...new Set(names.map(name => normalizeName(name || '')).filter(Boolean))];
+
+module.exports = {
+  normalizeName,
+  toMatchKeys
+};
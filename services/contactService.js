@@ -0,0 +1,14 @@
+// Contact follow-ups: when a contact counts as due
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// End of the day `days` from now (UTC): contacts due by then count as due
+const dueBy = (days = 0, now = new Date()) => {
+  const end = new Date(now.getTime() + days * DAY_MS);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+module.exports = {
+  dueBy
+};
@@ -0,0 +1,95 @@
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark added by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the header row
+const parseCSVWithHeaders = (text) => {
+  const [headers = [], ...rows] = parseCSV(text);
+  const trimmedHeaders = headers.map(header => header.trim());
+
+  return {
+    headers: trimmedHeaders,
+    records: rows.map(cells => trimmedHeaders.reduce((record, header, index) => {
+      record[header] = cells[index] !== undefined ? cells[index].trim() : '';
+      return record;
+    }, {}))
+  };
+};
+
+// Escape a single value for CSV output
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheet apps from evaluating cell contents as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one row of values as a CSV line (including the line break)
+const toCSVRow = (values) => `${values.map(escapeCSVValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCSV,
+  parseCSVWithHeaders,
+  escapeCSVValue,
+  toCSVRow
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { normalizeName } = require('./companyService');
+
+// Likely duplicate applications: the same posting URL, or the same company with
+// a similar title
+
+// Title similarity (0-1) at which two jobs at one company count as duplicates
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+const MAX_MATCHES = 3;
+
+// Compare postings by host and path, ignoring protocol, www, tracking
+// parameters, fragments and trailing slashes
+const normalizeJobUrl = (value) => {
+  if (!value) return null;
+
+  try {
+    const url = new URL(value);
+    const params = [...url.searchParams.entries()]
+      .filter(([key]) => !/^(utm_|ref$|source$|gh_src$|trk)/i.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const search = new URLSearchParams(params).toString();
+
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${search ? `?${search}` : ''}`.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Common abbreviations, so "Sr. SWE" compares equal to "Senior Software Engineer"
+const TITLE_ALIASES = {
+  sr: 'senior',
+  jr: 'junior',
+  swe: 'software engineer',
+  sde: 'software engineer',
+  eng: 'engineer',
+  dev: 'developer',
+  mgr: 'manager',
+  pm: 'product manager'
+};
+
+const titleTokens = (title = '') => new Set(
+  normalizeName(title)
+    .split(' ')
+    .flatMap(word => (TITLE_ALIASES[word] || word).split(' '))
+    .filter(Boolean)
+);
+
+// Jaccard similarity of the title words
+const titleSimilarity = (a, b) => {
+  const left = titleTokens(a);
+  const right = titleTokens(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+// Why `job` looks like a duplicate of `candidate`, or null if it doesn't
+const compareJobs = (candidate, job) => {
+  const reasons = [];
+  const candidateUrl = normalizeJobUrl(candidate.jobUrl);
+  const sameUrl = Boolean(candidateUrl) && candidateUrl === normalizeJobUrl(job.jobUrl);
+
+  if (sameUrl) {
+    reasons.push('Same job posting URL');
+  }
+
+  const company = normalizeName(candidate.company);
+  const similarity = company && company === normalizeName(job.company)
+    ? titleSimilarity(candidate.title, job.title)
+    : 0;
+
+  if (similarity >= TITLE_SIMILARITY_THRESHOLD) {
+    reasons.push(similarity === 1 ? 'Same company and title' : 'Same company and a similar title');
+  }
+
+  if (reasons.length === 0) return null;
+
+  return {
+    jobId: job._id,
+    title: job.title,
+    company: job.company,
+    status: job.status,
+    jobUrl: job.jobUrl,
+    applicationDate: job.applicationDate,
+    archived: Boolean(job.archivedAt),
+    // An identical posting is a certain match
+    similarity: sameUrl ? 1 : Math.round(similarity * 100) / 100,
+    reasons
+  };
+};
+
+// Return the likely duplicates of candidate among jobs, best match first
+const findDuplicates = (candidate, jobs, { excludeId } = {}) => jobs
+  .filter(job => !excludeId || job._id.toString() !== excludeId.toString())
+  .map(job => compareJobs(candidate, job))
+  .filter(Boolean)
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, MAX_MATCHES);
+
+// Load the fields needed to compare against all of a user's jobs (trash excluded)
+const loadDuplicateCandidates = (userId) => Job.find({ user: new mongoose.Types.ObjectId(userId) })
+  .select('title company jobUrl status applicationDate archivedAt')
+  .lean();
+
+module.exports = {
+  normalizeJobUrl,
+  titleSimilarity,
+  compareJobs,
+  findDuplicates,
+  loadDuplicateCandidates
+};
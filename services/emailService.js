@@ -136,7 +136,74 @@ const sendPasswordResetEmail = async (email, firstName, resetToken) => {
   }
 };
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape user-entered text for use in an HTML email
+const escapeHtml = (text = '') => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Send a reminder about offers whose deadline is coming up
+const sendOfferDeadlineEmail = async (email, firstName, offers) => {
+  try {
+    const transporter = createTransporter();
+
+    const rows = offers.map(offer => `
+              <li style="margin-bottom: 10px;">
+                <strong>${escapeHtml(offer.title)}</strong> at ${escapeHtml(offer.company)} &mdash;
+                respond by ${offer.expiresAt.toUTCString()}
+              </li>`).join('');
+
+    const mailOptions = {
+      from: `"Job Tracker" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: offers.length === 1
+        ? `Offer deadline coming up: ${offers[0].company} - Job Tracker`
+        : `${offers.length} offer deadlines coming up - Job Tracker`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+          <div style="background-color: #ffffff; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px;">
+              <h1 style="color: #2563eb; margin: 0; font-size: 28px;">Job Tracker</h1>
+              <p style="color: #6b7280; margin: 10px 0 0 0;">Your Professional Job Search Companion</p>
+            </div>
+            
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello, ${escapeHtml(firstName)}! ⏰</h2>
+            
+            <p style="color: #4b5563; line-height: 1.6; margin-bottom: 25px;">
+              ${offers.length === 1 ? 'An offer you received expires soon:' : 'Offers you received expire soon:'}
+            </p>
+            
+            <ul style="color: #4b5563; line-height: 1.6; margin-bottom: 25px; padding-left: 20px;">${rows}
+            </ul>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}" 
+                 style="background-color: #2563eb; color: #ffffff; padding: 15px 30px; text-decoration: none; 
+                        border-radius: 8px; font-weight: 600; display: inline-block; font-size: 16px;">
+                Review Offers
+              </a>
+            </div>
+            
+            <div style="border-top: 1px solid #e5e7eb; padding-top: 20px; margin-top: 30px;">
+              <p style="color: #6b7280; font-size: 12px; margin: 0;">
+                You can turn off offer deadline reminders in your Job Tracker preferences.
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Offer deadline email sent:', info.messageId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending offer deadline email:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendOfferDeadlineEmail
 };
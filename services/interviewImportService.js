@@ -0,0 +1,153 @@
+const { normalizeName } = require('./companyService');
+
+// Turn parsed calendar invites into interview round suggestions
+
+const DEFAULT_INTERVIEW_MINUTES = 60;
+// Longest duration an interview round accepts (one day)
+const MAX_INTERVIEW_MINUTES = 1440;
+const MAX_SUGGESTIONS = 3;
+
+// Common free-mail and calendar domains that say nothing about the employer
+const GENERIC_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'proton.me',
+  'protonmail.com',
+  'calendar.google.com',
+  'group.calendar.google.com',
+  'resource.calendar.google.com'
+];
+
+const MEETING_LINK_PATTERN = /https?:\/\/[^\s<>"]*(zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|chime\.aws)[^\s<>"]*/i;
+
+const findMeetingLink = (event) => {
+  const candidates = [event.url, event.location, event.description].filter(Boolean).join(' ');
+  const match = MEETING_LINK_PATTERN.exec(candidates);
+  return match ? match[0] : null;
+};
+
+// Guess the interview type from the invite wording
+const guessInterviewType = (event, meetingLink) => {
+  const text = `${event.summary || ''} ${event.description || ''}`.toLowerCase();
+
+  if (/\b(technical|coding|code|system design|pair programming|take[- ]home|algorithm)/.test(text)) return 'technical';
+  if (/\bbehaviou?ral\b/.test(text)) return 'behavioral';
+  if (/\b(on[- ]?site|in[- ]person|office visit)\b/.test(text)) return 'onsite';
+  if (/\b(phone|call|screen)\b/.test(text) && !meetingLink) return 'phone';
+  if (meetingLink || /\b(video|zoom|teams|meet)\b/.test(text)) return 'video';
+  return 'phone';
+};
+
+const eventEmails = (event) => [event.organizer, ...(event.attendees || [])]
+  .filter(person => person && person.email)
+  .map(person => person.email.toLowerCase());
+
+// Score how likely an invite belongs to a job, with the reasons why
+const scoreJobMatch = (event, job) => {
+  const reasons = [];
+  let score = 0;
+
+  const emails = eventEmails(event);
+  const text = normalizeName(`${event.summary || ''} ${event.description || ''} ${event.location || ''}`);
+  const company = normalizeName(job.company);
+
+  if (job.contactEmail && emails.includes(job.contactEmail.toLowerCase())) {
+    score += 60;
+    reasons.push(`Invite includes the job contact ${job.contactEmail}`);
+  }
+
+  if (company) {
+    const compactCompany = company.replace(/\s/g, '');
+    const domainMatch = emails
+      .map(email => email.split('@')[1])
+      .filter(domain => domain && !GENERIC_DOMAINS.includes(domain))
+      .some(domain => domain.split('.').some(part => part.length > 2 && (part === compactCompany || compactCompany.startsWith(part))));
+
+    if (domainMatch) {
+      score += 30;
+      reasons.push(`An attendee email domain matches ${job.company}`);
+    }
+
+    if (` ${text} `.includes(` ${company} `)) {
+      score += 30;
+      reasons.push(`Invite mentions ${job.company}`);
+    }
+  }
+
+  const title = normalizeName(job.title);
+  if (title && text.includes(title)) {
+    score += 10;
+    reasons.push(`Invite mentions ${job.title}`);
+  }
+
+  // Prefer applications that are still open
+  if (score > 0 && ['applied', 'interviewing', 'offered'].includes(job.status)) {
+    score += 5;
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+// Build an import preview for each calendar event
+const buildInterviewSuggestions = (events, jobs) => events.map(event => {
+  const meetingLink = findMeetingLink(event);
+  // Events spanning more than a day (e.g. a block across a week) say nothing
+  // about the interview's length, so they get the default like all-day ones
+  const eventMinutes = event.end && !event.allDay
+    ? Math.max(1, Math.round((event.end - event.start) / (60 * 1000)))
+    : null;
+  const durationMinutes = eventMinutes && eventMinutes <= MAX_INTERVIEW_MINUTES
+    ? eventMinutes
+    : DEFAULT_INTERVIEW_MINUTES;
+
+  const suggestions = jobs
+    .map(job => ({ job, ...scoreJobMatch(event, job) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ job, score, reasons }) => ({
+      jobId: job._id,
+      title: job.title,
+      company: job.company,
+      status: job.status,
+      score,
+      reasons,
+      alreadyImported: (job.interviewDates || []).some(interview =>
+        (event.uid && interview.calendarUid === event.uid) ||
+        new Date(interview.date).getTime() === event.start.getTime()
+      )
+    }));
+
+  const interviewers = [event.organizer, ...(event.attendees || [])]
+    .filter(person => person && person.name)
+    .map(person => person.name);
+
+  return {
+    uid: event.uid || null,
+    summary: event.summary || null,
+    cancelled: event.status === 'CANCELLED',
+    timeZoneAssumed: Boolean(event.timeZoneAssumed),
+    interview: {
+      date: event.start,
+      type: guessInterviewType(event, meetingLink),
+      durationMinutes,
+      location: event.location && event.location !== meetingLink ? event.location.slice(0, 200) : undefined,
+      meetingLink: meetingLink || undefined,
+      interviewers: [...new Set(interviewers)].slice(0, 20),
+      notes: event.summary ? event.summary.slice(0, 500) : undefined,
+      calendarUid: event.uid || undefined
+    },
+    suggestions
+  };
+});
+
+module.exports = {
+  MAX_INTERVIEW_MINUTES,
+  buildInterviewSuggestions
+};
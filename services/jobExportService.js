@@ -0,0 +1,185 @@
+const ExcelJS = require('exceljs');
+const { toCSVRow } = require('./csvService');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Flattened columns written to CSV and Excel exports
+const EXPORT_COLUMNS = [
+  { header: 'Title', key: 'title', width: 30 },
+  { header: 'Company', key: 'company', width: 25 },
+  { header: 'Location', key: 'location', width: 20 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Stage', key: 'stage', width: 18 },
+  { header: 'Priority', key: 'priority', width: 10 },
+  { header: 'Salary', key: 'salary', width: 15 },
+  { header: 'Salary Min', key: 'salaryMin', width: 12 },
+  { header: 'Salary Max', key: 'salaryMax', width: 12 },
+  { header: 'Currency', key: 'salaryCurrency', width: 10 },
+  { header: 'Pay Period', key: 'salaryPeriod', width: 10 },
+  { header: 'Application Date', key: 'applicationDate', width: 20 },
+  { header: 'Follow-up Date', key: 'followUpDate', width: 20 },
+  { header: 'Job URL', key: 'jobUrl', width: 40 },
+  { header: 'Source', key: 'source', width: 18 },
+  { header: 'Source Detail', key: 'sourceDetail', width: 20 },
+  { header: 'Contact Person', key: 'contactPerson', width: 20 },
+  { header: 'Contact Email', key: 'contactEmail', width: 25 },
+  { header: 'Contact Phone', key: 'contactPhone', width: 15 },
+  { header: 'Tags', key: 'tags', width: 25 },
+  { header: 'Interview Count', key: 'interviewCount', width: 10 },
+  { header: 'Interviews', key: 'interviews', width: 60 },
+  { header: 'Description', key: 'description', width: 50 },
+  { header: 'Requirements', key: 'requirements', width: 50 },
+  { header: 'Notes', key: 'notes', width: 50 },
+  { header: 'Created At', key: 'createdAt', width: 20 },
+  { header: 'Updated At', key: 'updatedAt', width: 20 }
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Summarize interview rounds as "date | type | outcome | notes; ..."
+const flattenInterviews = (interviews = []) => interviews
+  .map(interview => [
+    interview.date ? new Date(interview.date).toISOString() : '',
+    interview.type,
+    interview.outcome,
+    interview.notes
+  ].filter(Boolean).join(' | '))
+  .join('; ');
+
+// Turn a job into a single flat row keyed by export column
+const flattenJob = (job) => EXPORT_COLUMNS.reduce((row, { key }) => {
+  switch (key) {
+    case 'tags':
+      row.tags = (job.tags || []).join('; ');
+      break;
+    case 'interviewCount':
+      row.interviewCount = (job.interviewDates || []).length;
+      break;
+    case 'interviews':
+      row.interviews = flattenInterviews(job.interviewDates);
+      break;
+    case 'salaryMin':
+    case 'salaryMax':
+    case 'salaryCurrency':
+    case 'salaryPeriod': {
+      const range = job.salaryRange || {};
+      const value = range[key.replace('salary', '').toLowerCase()];
+      row[key] = value === undefined ? null : value;
+      break;
+    }
+    default:
+      row[key] = job[key] === undefined ? null : job[key];
+  }
+  return row;
+}, {});
+
+// Write to the response, waiting for it to drain when its buffer is full.
+// A client that disconnects never drains it, so closing settles the wait too.
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed || res.write(chunk)) return resolve();
+
+  const settle = () => {
+    stopListening();
+    resolve();
+  };
+  const fail = (error) => {
+    stopListening();
+    reject(error);
+  };
+  const stopListening = () => {
+    res.off('drain', settle);
+    res.off('close', settle);
+    res.off('error', fail);
+  };
+
+  res.once('drain', settle);
+  res.once('close', settle);
+  res.once('error', fail);
+});
+
+const writeCSV = async (cursor, res) => {
+  // BOM so Excel opens the file as UTF-8
+  await write(res, `\uFEFF${toCSVRow(EXPORT_COLUMNS.map(column => column.header))}`);
+
+  for await (const job of cursor) {
+    if (res.destroyed) return;
+    const row = flattenJob(job);
+    await write(res, toCSVRow(EXPORT_COLUMNS.map(column => row[column.key])));
+  }
+
+  res.end();
+};
+
+// JSON keeps the full job, with interviews and tags alongside the flat fields
+const writeJSON = async (cursor, res) => {
+  await write(res, '[');
+
+  let first = true;
+  for await (const job of cursor) {
+    if (res.destroyed) return;
+    const { user, __v, ...data } = job;
+    const entry = {
+      ...data,
+      interviewCount: (job.interviewDates || []).length
+    };
+    await write(res, `${first ? '' : ','}\n${JSON.stringify(entry)}`);
+    first = false;
+  }
+
+  res.end('\n]\n');
+};
+
+const writeXLSX = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet('Jobs');
+  worksheet.columns = EXPORT_COLUMNS;
+
+  for await (const job of cursor) {
+    if (res.destroyed) return;
+    worksheet.addRow(flattenJob(job)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream a cursor of lean job documents to the response in the given format
+const streamJobExport = async (cursor, format, res) => {
+  const filename = `jobs-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'json') {
+      await writeJSON(cursor, res);
+    } else if (format === 'xlsx') {
+      await writeXLSX(cursor, res);
+    } else {
+      await writeCSV(cursor, res);
+    }
+  } catch (error) {
+    console.error('❌ Error streaming job export:', error);
+
+    // Once data has been sent the status can't change, so cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    throw error;
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  flattenJob,
+  streamJobExport
+};
@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const { JOB_STATUSES } = require('../config/jobStatus');
+const { JOB_SOURCES } = require('../config/jobSources');
+
+// Shared filter grammar for the job list, export, bulk operations and analytics:
+//
+//   status, stage, priority   one value or a comma-separated list
+//   tags, tagMatch            comma-separated tags matching any (default) or all
+//   applicationDateFrom/To    date range, inclusive
+//   followUpDateFrom/To       date range, inclusive
+//   hasUpcomingInterview      true | false
+//   company, location         case-insensitive "contains" match
+//   companyId                 one canonical company id or a comma-separated list
+//   source                    one source or a comma-separated list
+//   salaryMin, salaryMax      annual pay range the job's range overlaps
+//   salaryCurrency            currency of the job's salary
+//   belowTarget               true / false against preferences.salaryRange
+//   search                    full-text search ("phrases", -negation)
+//   archived                  false (default) | true | all
+
+// Sort fields stored under another path
+const SORT_PATHS = {
+  salary: 'salaryRange.annualMax'
+};
+
+// Every filter parameter understood by buildJobFilter
+const FILTER_PARAMS = [
+  'status',
+  'stage',
+  'priority',
+  'tags',
+  'tagMatch',
+  'applicationDateFrom',
+  'applicationDateTo',
+  'followUpDateFrom',
+  'followUpDateTo',
+  'hasUpcomingInterview',
+  'company',
+  'companyId',
+  'source',
+  'location',
+  'salaryMin',
+  'salaryMax',
+  'salaryCurrency',
+  'belowTarget',
+  'search',
+  'archived'
+];
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Accept "a,b", ["a", "b"] or ["a,b"]
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a { $gte, $lte } range; a plain "to" date covers that whole day
+const buildDateRange = (from, to) => {
+  const range = {};
+
+  if (from) {
+    range.$gte = new Date(from);
+  }
+
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+    range.$lte = end;
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Match one value directly and several with $in
+const matchAny = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+// Build a MongoDB filter for a user's jobs from list-style query parameters
+const buildJobFilter = (userId, params = {}) => {
+  const { search, company, location, tagMatch = 'any', hasUpcomingInterview, archived = 'false' } = params;
+
+  const filter = { user: new mongoose.Types.ObjectId(userId) };
+
+  // Archived jobs are hidden unless asked for (archived=true|all)
+  if (String(archived) === 'true') {
+    filter.archivedAt = { $ne: null };
+  } else if (String(archived) !== 'all') {
+    filter.archivedAt = null;
+  }
+
+  const statuses = parseList(params.status);
+  if (statuses.length > 0) {
+    filter.status = matchAny(statuses);
+  }
+
+  const stages = parseList(params.stage);
+  if (stages.length > 0) {
+    filter.stage = matchAny(stages);
+  }
+
+  const priorities = parseList(params.priority);
+  if (priorities.length > 0) {
+    filter.priority = matchAny(priorities);
+  }
+
+  const tags = parseList(params.tags);
+  if (tags.length > 0) {
+    filter.tags = tagMatch === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  const applicationDate = buildDateRange(params.applicationDateFrom, params.applicationDateTo);
+  if (applicationDate) {
+    filter.applicationDate = applicationDate;
+  }
+
+  const followUpDate = buildDateRange(params.followUpDateFrom, params.followUpDateTo);
+  if (followUpDate) {
+    filter.followUpDate = followUpDate;
+  }
+
+  if (hasUpcomingInterview !== undefined && hasUpcomingInterview !== '') {
+    const upcoming = { $elemMatch: { date: { $gte: new Date() } } };
+    filter.interviewDates = String(hasUpcomingInterview) === 'true' ? upcoming : { $not: upcoming };
+  }
+
+  if (company) {
+    filter.company = { $regex: escapeRegex(String(company).trim()), $options: 'i' };
+  }
+
+  const sources = parseList(params.source);
+  if (sources.length > 0) {
+    filter.source = matchAny(sources);
+  }
+
+  const companyIds = parseList(params.companyId);
+  if (companyIds.length > 0) {
+    filter.companyId = matchAny(companyIds.map(id => new mongoose.Types.ObjectId(id)));
+  }
+
+  if (location) {
+    filter.location = { $regex: escapeRegex(String(location).trim()), $options: 'i' };
+  }
+
+  // Salaries are compared as annual figures; a job matches if its range overlaps
+  if (params.salaryMin !== undefined && params.salaryMin !== '') {
+    filter['salaryRange.annualMax'] = { $gte: Number(params.salaryMin) };
+  }
+
+  if (params.salaryMax !== undefined && params.salaryMax !== '') {
+    filter['salaryRange.annualMin'] = { $lte: Number(params.salaryMax) };
+  }
+
+  if (params.salaryCurrency) {
+    filter['salaryRange.currency'] = String(params.salaryCurrency).toUpperCase();
+  }
+
+  if (params.belowTarget !== undefined && params.belowTarget !== '') {
+    filter['salaryRange.belowTarget'] = String(params.belowTarget) === 'true' ? true : { $ne: true };
+  }
+
+  // Uses the text index: supports "exact phrases" and -negated terms
+  if (search && String(search).trim()) {
+    filter.$text = { $search: String(search).trim() };
+  }
+
+  return filter;
+};
+
+// Build the leading $match of an analytics pipeline from the same filter
+// parameters. Archived jobs are included unless archived is given, and extra
+// conditions are ANDed in so they never replace a requested filter.
+const buildAnalyticsMatch = (userId, params = {}, extra = []) => {
+  const match = buildJobFilter(userId, { archived: 'all', ...params });
+
+  if (extra.length > 0) {
+    match.$and = extra;
+  }
+
+  return match;
+};
+
+// Validation rules for the filter parameters. `location` is an
+// express-validator builder (query, body) and `prefix` nests the fields.
+const jobFilterValidators = (location = query, prefix = '') => {
+  const field = (name) => location(`${prefix}${name}`);
+
+  const listOf = (allowed, label) => (value) => {
+    const invalid = parseList(value).filter(item => !allowed.includes(item));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid ${label}: ${invalid.join(', ')}`);
+    }
+    return true;
+  };
+
+  const maxItemLength = (max, label) => (value) => {
+    if (parseList(value).some(item => item.length > max)) {
+      throw new Error(`Each ${label} cannot exceed ${max} characters`);
+    }
+    return true;
+  };
+
+  return [
+    field('status').optional().custom(listOf(JOB_STATUSES, 'status')),
+    field('stage').optional().custom(maxItemLength(50, 'stage')),
+    field('priority').optional().custom(listOf(PRIORITIES, 'priority')),
+    field('tags').optional().custom(maxItemLength(30, 'tag')),
+    field('tagMatch').optional().isIn(['any', 'all']),
+    field('applicationDateFrom').optional().isISO8601().withMessage('applicationDateFrom must be a valid date'),
+    field('applicationDateTo').optional().isISO8601().withMessage('applicationDateTo must be a valid date'),
+    field('followUpDateFrom').optional().isISO8601().withMessage('followUpDateFrom must be a valid date'),
+    field('followUpDateTo').optional().isISO8601().withMessage('followUpDateTo must be a valid date'),
+    field('hasUpcomingInterview').optional().isIn(['true', 'false', true, false]),
+    field('company').optional().isString().isLength({ max: 100 }),
+    field('companyId').optional().custom(value => {
+      if (!parseList(value).every(id => /^[a-f\d]{24}$/i.test(id))) {
+        throw new Error('companyId must be a company id or a comma-separated list of ids');
+      }
+      return true;
+    }),
+    field('source').optional().custom(listOf(JOB_SOURCES, 'source')),
+    field('location').optional().isString().isLength({ max: 100 }),
+    field('salaryMin').optional().isFloat({ min: 0 }).withMessage('salaryMin must be a positive number'),
+    field('salaryMax').optional().isFloat({ min: 0 }).withMessage('salaryMax must be a positive number'),
+    field('salaryCurrency').optional().isISO4217().withMessage('salaryCurrency must be a 3-letter ISO code'),
+    field('belowTarget').optional().isIn(['true', 'false', true, false]),
+    field('search').optional().isString().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+    field('archived').optional().isIn(['true', 'false', 'all', true, false])
+  ];
+};
+
+// Whether the filter parameters include a full-text search
+const hasTextSearch = (params = {}) => Boolean(params.search && String(params.search).trim());
+
+// Projection adding the text relevance score to each result
+const TEXT_SCORE_PROJECTION = { score: { $meta: 'textScore' } };
+
+// Keep only the filter parameters from a params object
+const pickFilterParams = (params = {}) => FILTER_PARAMS.reduce((picked, key) => {
+  if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+    picked[key] = params[key];
+  }
+  return picked;
+}, {});
+
+// Sorts on a value computed per job; these run as an aggregation
+const COMPUTED_SORTS = {
+  // Earliest interview that hasn't happened yet
+  nextInterview: () => ({
+    $min: {
+      $filter: {
+        input: '$interviewDates.date',
+        as: 'date',
+        cond: { $gte: ['$$date', new Date()] }
+      }
+    }
+  })
+};
+
+const isComputedSort = (params = {}) => Boolean(COMPUTED_SORTS[params.sortBy]);
+
+// Aggregation stages ordering jobs by a computed sort. Jobs without a value
+// (e.g. no upcoming interview) always come last; the default order is ascending.
+// `afterMatch` filters on the computed fields before sorting, e.g. for paging.
+const buildComputedSortStages = (params = {}, afterMatch = null) => {
+  const value = COMPUTED_SORTS[params.sortBy]();
+  const sort = buildPageSort(params).reduce((stage, key) => ({ ...stage, [key.field]: key.dir }), {});
+
+  return [
+    {
+      $addFields: {
+        _sortValue: value,
+        _sortMissing: { $cond: [{ $eq: [{ $ifNull: [value, null] }, null] }, 1, 0] }
+      }
+    },
+    ...(afterMatch ? [{ $match: afterMatch }] : []),
+    { $sort: sort }
+  ];
+};
+
+// Build a sort object from sortBy / sortOrder query parameters.
+// Searches are ranked by relevance unless another sort is requested.
+const buildJobSort = (params = {}) => {
+  const { sortOrder = 'desc' } = params;
+  const sortBy = params.sortBy || (hasTextSearch(params) ? 'relevance' : 'updatedAt');
+
+  if (sortBy === 'relevance') {
+    return hasTextSearch(params)
+      ? { score: { $meta: 'textScore' }, updatedAt: -1 }
+      : { updatedAt: -1 };
+  }
+
+  const sort = {};
+  sort[SORT_PATHS[sortBy] || sortBy] = sortOrder === 'asc' ? 1 : -1;
+  return sort;
+};
+
+// Ordered sort keys ({ field, dir }) ending in _id, so every job has a
+// unique position that a pagination cursor can point at. Not available for
+// relevance, which can't be filtered on.
+const buildPageSort = (params = {}) => {
+  if (isComputedSort(params)) {
+    const dir = params.sortOrder === 'desc' ? -1 : 1;
+    return [
+      { field: '_sortMissing', dir: 1 },
+      { field: '_sortValue', dir },
+      { field: '_id', dir }
+    ];
+  }
+
+  const sort = buildJobSort(params);
+  if (sort.score) return null;
+
+  const [[field, dir]] = Object.entries(sort);
+  return [{ field, dir }, { field: '_id', dir }];
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  TEXT_SCORE_PROJECTION,
+  parseList,
+  escapeRegex,
+  pickFilterParams,
+  hasTextSearch,
+  isComputedSort,
+  buildJobFilter,
+  buildJobSort,
+  buildPageSort,
+  buildComputedSortStages,
+  buildAnalyticsMatch,
+  jobFilterValidators
+};
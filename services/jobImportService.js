@@ -0,0 +1,153 @@
+const { validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { normalizeSource } = require('./sourceService');
+
+// Job fields that can be filled from an imported spreadsheet
+const IMPORT_FIELDS = [
+  'title',
+  'company',
+  'location',
+  'status',
+  'stage',
+  'salary',
+  'description',
+  'requirements',
+  'applicationDate',
+  'jobUrl',
+  'contactPerson',
+  'contactEmail',
+  'contactPhone',
+  'source',
+  'sourceDetail',
+  'notes',
+  'tags',
+  'priority',
+  'followUpDate'
+];
+
+// Common spreadsheet headers that don't match a field name directly
+const HEADER_ALIASES = {
+  position: 'title',
+  role: 'title',
+  jobtitle: 'title',
+  companyname: 'company',
+  employer: 'company',
+  dateapplied: 'applicationDate',
+  applied: 'applicationDate',
+  applieddate: 'applicationDate',
+  url: 'jobUrl',
+  link: 'jobUrl',
+  joblink: 'jobUrl',
+  contact: 'contactPerson',
+  contactname: 'contactPerson',
+  email: 'contactEmail',
+  phone: 'contactPhone',
+  followup: 'followUpDate',
+  pay: 'salary',
+  compensation: 'salary',
+  channel: 'source',
+  howfound: 'source',
+  foundvia: 'source'
+};
+
+const DATE_FIELDS = ['applicationDate', 'followUpDate'];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess a header -> field mapping from the CSV header row
+const buildDefaultMapping = (headers) => headers.reduce((mapping, header) => {
+  const normalized = normalizeHeader(header);
+  const field = IMPORT_FIELDS.find(name => name.toLowerCase() === normalized) || HEADER_ALIASES[normalized];
+
+  if (field && !Object.values(mapping).includes(field)) {
+    mapping[header] = field;
+  }
+  return mapping;
+}, {});
+
+// Check a caller-supplied mapping only targets importable fields
+const validateMapping = (mapping, headers) => {
+  const errors = [];
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!headers.includes(header)) {
+      errors.push(`Column "${header}" does not exist in the file`);
+    }
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Column "${header}" maps to unknown field "${field}"`);
+    }
+  });
+
+  return errors;
+};
+
+// Turn one CSV record into job data using the mapping
+const mapRecord = (record, mapping) => Object.entries(mapping).reduce((data, [header, field]) => {
+  const value = record[header];
+  if (value === undefined || value === '') return data;
+
+  if (field === 'tags') {
+    data.tags = value.split(/[;|,]/).map(tag => tag.trim()).filter(Boolean);
+  } else if (DATE_FIELDS.includes(field) && !Number.isNaN(Date.parse(value))) {
+    data[field] = new Date(value).toISOString();
+  } else if (field === 'status' || field === 'priority') {
+    data[field] = value.toLowerCase();
+  } else if (field === 'source') {
+    // "LinkedIn" -> job-board, keeping "LinkedIn" as the detail
+    const { source, sourceDetail } = normalizeSource(value);
+    data.source = source;
+    if (sourceDetail && !data.sourceDetail) {
+      data.sourceDetail = sourceDetail;
+    }
+  } else {
+    data[field] = value;
+  }
+
+  return data;
+}, {});
+
+// Run the create-route validators and the model validators against one row
+const validateRow = async (data, validators, user) => {
+  const rowRequest = { body: { ...data } };
+  await Promise.all(validators.map(validator => validator.run(rowRequest)));
+
+  const errors = validationResult(rowRequest).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  const jobData = { ...rowRequest.body };
+
+  // Place the job in the user's pipeline; rows without one start in the
+  // user's first applied stage, as in POST /api/jobs
+  const stageInvalid = errors.some(error => ['stage', 'status'].includes(error.field));
+  if (!stageInvalid) {
+    const stage = user.resolveStage(jobData.stage || jobData.status || 'applied');
+    if (!stage || (jobData.stage && jobData.status && stage.category !== jobData.status)) {
+      errors.push({ field: 'stage', message: `Unknown pipeline stage: ${jobData.stage || jobData.status}` });
+    } else {
+      jobData.status = stage.category;
+      jobData.stage = stage.key;
+    }
+  }
+
+  if (errors.length === 0) {
+    try {
+      await new Job({ ...jobData, user: user._id }).validate();
+    } catch (error) {
+      Object.values(error.errors || {}).forEach(err => {
+        errors.push({ field: err.path, message: err.message });
+      });
+    }
+  }
+
+  return { data: jobData, errors };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  buildDefaultMapping,
+  validateMapping,
+  mapRecord,
+  validateRow
+};
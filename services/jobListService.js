@@ -0,0 +1,248 @@
+const { query } = require('express-validator');
+const Job = require('../models/Job');
+const { AppError } = require('../middleware/error');
+const {
+  TEXT_SCORE_PROJECTION,
+  parseList,
+  hasTextSearch,
+  isComputedSort,
+  buildJobFilter,
+  buildJobSort,
+  buildPageSort,
+  buildComputedSortStages
+} = require('./jobFilters');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('./pageCursor');
+const { highlightJob } = require('./searchHighlighter');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// User fields included when a job's owner is populated
+const USER_FIELDS = 'firstName lastName email';
+
+// Virtuals that can be requested with fields=, and the fields they are computed from
+const VIRTUAL_FIELDS = {
+  id: [],
+  daysSinceApplication: ['applicationDate'],
+  nextInterview: ['interviewDates']
+};
+
+// Job fields that can be requested with fields=
+const SELECTABLE_FIELDS = [
+  ...new Set(Object.keys(Job.schema.paths).map(path => path.split('.')[0]))
+].filter(field => field !== '__v').concat(Object.keys(VIRTUAL_FIELDS));
+
+// Jobs embed their owner unless the request opts out with populate=false
+const shouldPopulateUser = (params = {}) => !['false', '0'].includes(String(params.populate));
+
+const populateUser = (job, params) => (shouldPopulateUser(params) ? job.populate('user', USER_FIELDS) : job);
+
+// Requested fields= list, or null for whole jobs
+const parseFields = (params = {}) => {
+  const fields = parseList(params.fields);
+  return fields.length > 0 ? fields : null;
+};
+
+// Projection for the requested fields plus anything needed to compute them
+const buildProjection = (fields, extraFields = []) => {
+  const projection = {};
+
+  const paths = fields
+    .flatMap(field => VIRTUAL_FIELDS[field] || [field])
+    .concat(extraFields);
+
+  // Skip paths inside another included path; MongoDB rejects the overlap
+  paths
+    .filter(path => !paths.some(other => path.startsWith(`${other}.`)))
+    .forEach(path => {
+      projection[path] = 1;
+    });
+
+  return projection;
+};
+
+// Reduce a job to _id and the requested fields
+const pickFields = (job, fields) => {
+  const json = typeof job.toJSON === 'function' ? job.toJSON() : job;
+
+  return ['_id', ...fields].reduce((picked, field) => {
+    if (json[field] !== undefined) {
+      picked[field] = json[field];
+    }
+    return picked;
+  }, {});
+};
+
+// Shape a job for a response, reducing it to fields= when given
+const serializeJob = (job, params = {}) => {
+  const fields = parseFields(params);
+  return fields ? pickFields(job, fields) : job;
+};
+
+// Load a single job for the GET route, honouring fields= and populate=
+const findJob = (id, params = {}) => {
+  const fields = parseFields(params);
+  const jobQuery = Job.findById(id, fields ? buildProjection(fields, ['user']) : undefined);
+
+  if (shouldPopulateUser(params) && (!fields || fields.includes('user'))) {
+    jobQuery.populate('user', USER_FIELDS);
+  }
+
+  return jobQuery;
+};
+
+// Fetch one page of a user's jobs for list-style filter, sort and page parameters.
+// Pages are numbered (page=) by default; paginate=cursor or cursor= switches to
+// keyset pagination, which skips the total count and is stable while jobs change.
+const listJobs = async (userId, params = {}) => {
+  const limit = parseInt(params.limit) || DEFAULT_PAGE_SIZE;
+  const page = parseInt(params.page) || 1;
+  const useCursor = params.paginate === 'cursor' || Boolean(params.cursor);
+
+  const filter = buildJobFilter(userId, params);
+  const search = hasTextSearch(params) ? String(params.search).trim() : null;
+  const fields = parseFields(params);
+  const populate = shouldPopulateUser(params) && (!fields || fields.includes('user'));
+
+  const sortKeys = buildPageSort(params);
+  if (useCursor && !sortKeys) {
+    throw new AppError('Cursor pagination is not available when sorting by relevance; choose another sortBy', 400);
+  }
+
+  const afterCursor = params.cursor
+    ? buildCursorFilter(sortKeys, decodeCursor(sortKeys, params.cursor))
+    : null;
+
+  // Fetch one extra job to tell whether another page follows
+  const fetchLimit = useCursor ? limit + 1 : limit;
+  const skip = useCursor ? 0 : (page - 1) * limit;
+
+  // Cursors are built from the sort fields, so they must be loaded too
+  const sortFields = sortKeys && !isComputedSort(params) ? sortKeys.map(key => key.field) : [];
+  let projection = fields ? buildProjection(fields, sortFields) : undefined;
+  if (search) {
+    projection = { ...projection, ...TEXT_SCORE_PROJECTION };
+  }
+
+  let jobs;
+  let positions;
+
+  if (isComputedSort(params)) {
+    // Order the page in an aggregation, then load those jobs in that order
+    const ordered = await Job.aggregate([
+      { $match: filter },
+      ...buildComputedSortStages(params, afterCursor),
+      { $skip: skip },
+      { $limit: fetchLimit },
+      { $project: { _id: 1, _sortMissing: 1, _sortValue: 1 } }
+    ]);
+
+    const ids = ordered.map(item => item._id.toString());
+    const jobQuery = Job.find({ _id: { $in: ids } }, projection);
+    if (populate) jobQuery.populate('user', USER_FIELDS);
+    const found = await jobQuery;
+
+    jobs = ids
+      .map(id => found.find(job => job._id.toString() === id))
+      .filter(Boolean);
+    positions = ordered;
+  } else {
+    const jobQuery = Job.find(afterCursor ? { ...filter, $and: [afterCursor] } : filter, projection)
+      .sort(useCursor ? sortKeys.reduce((sort, key) => ({ ...sort, [key.field]: key.dir }), {}) : buildJobSort(params))
+      .skip(skip)
+      .limit(fetchLimit);
+    if (populate) jobQuery.populate('user', USER_FIELDS);
+
+    jobs = await jobQuery;
+    positions = jobs;
+  }
+
+  let pagination;
+
+  if (useCursor) {
+    const hasMore = jobs.length > limit;
+    jobs = jobs.slice(0, limit);
+
+    pagination = {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sortKeys, positions[limit - 1]) : null
+    };
+  } else {
+    const total = await Job.countDocuments(filter);
+
+    pagination = {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    };
+  }
+
+  // Show where each search result matched
+  if (search) {
+    jobs = jobs.map(job => ({
+      ...job.toJSON(),
+      highlights: highlightJob(job, search)
+    }));
+  }
+
+  if (fields) {
+    jobs = jobs.map(job => ({
+      ...pickFields(job, fields),
+      ...(search ? { score: job.score, highlights: job.highlights } : {})
+    }));
+  }
+
+  return { jobs, pagination };
+};
+
+// Open a cursor over every matching job as plain objects, e.g. for exports
+const openJobCursor = (userId, params = {}) => {
+  const filter = buildJobFilter(userId, params);
+
+  if (isComputedSort(params)) {
+    return Job.aggregate([
+      { $match: filter },
+      ...buildComputedSortStages(params),
+      { $project: { _sortValue: 0, _sortMissing: 0 } }
+    ]).cursor();
+  }
+
+  return Job.find(filter, hasTextSearch(params) ? TEXT_SCORE_PROJECTION : undefined)
+    .sort(buildJobSort(params))
+    .lean()
+    .cursor();
+};
+
+// Validation rules for fields and populate parameters
+const jobFieldValidators = (location = query) => [
+  location('fields').optional().custom(value => {
+    const unknown = parseList(value).filter(field => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  location('populate').optional().isIn(['true', 'false', '0', '1'])
+];
+
+// Validation rules for page, cursor, fields and populate parameters
+const jobPageValidators = (location = query) => [
+  location('page').optional().isInt({ min: 1 }),
+  location('limit').optional().isInt({ min: 1, max: 100 }),
+  location('paginate').optional().isIn(['page', 'cursor']),
+  location('cursor').optional().isString().isLength({ max: 2000 }),
+  ...jobFieldValidators(location)
+];
+
+module.exports = {
+  SELECTABLE_FIELDS,
+  shouldPopulateUser,
+  populateUser,
+  serializeJob,
+  findJob,
+  listJobs,
+  openJobCursor,
+  jobFieldValidators,
+  jobPageValidators
+};
@@ -0,0 +1,381 @@
+const { parseSalary, formatSalaryRange } = require('./salaryService');
+
+// Turn pasted job posting HTML or text into a prefilled job draft.
+// schema.org JobPosting JSON-LD is used when present; otherwise the draft is
+// pieced together from meta tags, headings and labelled lines.
+
+// Limits of the Job fields the draft fills
+const FIELD_LIMITS = {
+  title: 100,
+  company: 100,
+  location: 100,
+  salary: 50,
+  description: 1000,
+  requirements: 1000
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  hellip: '…',
+  bull: '•',
+  euro: '€',
+  pound: '£'
+};
+
+const decodeEntities = (text = '') => text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return value >= 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] || entity;
+});
+
+// Pasted content is untrusted, so no scan may run over the rest of the input
+// once per tag: tag patterns stop at the next < or >, and closing tags and
+// comment ends are searched for forward with indexOf.
+
+// Closed <tag ...>...</tag> elements in document order. Once a closing tag is
+// missing there is no later one either, so the search stops there.
+const findElements = (html, tag) => {
+  const lower = html.toLowerCase();
+  const opening = new RegExp(`<${tag}\\b[^<>]*>`, 'gi');
+  const elements = [];
+  let match;
+
+  while ((match = opening.exec(html)) !== null) {
+    const innerStart = match.index + match[0].length;
+    const closeAt = lower.indexOf(`</${tag}`, innerStart);
+    if (closeAt === -1) break;
+
+    const closeEnd = lower.indexOf('>', closeAt);
+    const end = closeEnd === -1 ? html.length : closeEnd + 1;
+    elements.push({ start: match.index, end, openTag: match[0], inner: html.slice(innerStart, closeAt) });
+    opening.lastIndex = end;
+  }
+
+  return elements;
+};
+
+// Replace spans ({ start, end }) of a string with a space each
+const cutSpans = (text, spans) => {
+  let result = '';
+  let position = 0;
+
+  [...spans]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      if (start < position) return; // Nested in a span already cut
+      result += `${text.slice(position, start)} `;
+      position = end;
+    });
+
+  return result + text.slice(position);
+};
+
+const commentSpans = (html) => {
+  const spans = [];
+  let start = html.indexOf('<!--');
+
+  while (start !== -1) {
+    const end = html.indexOf('-->', start + 4);
+    if (end === -1) break;
+    spans.push({ start, end: end + 3 });
+    start = html.indexOf('<!--', end + 3);
+  }
+
+  return spans;
+};
+
+// Drop comments and elements whose content isn't page text
+const stripHiddenContent = (html) => {
+  const withoutComments = cutSpans(html, commentSpans(html));
+  const hidden = ['script', 'style', 'noscript', 'template']
+    .flatMap(tag => findElements(withoutComments, tag));
+  return cutSpans(withoutComments, hidden);
+};
+
+// Convert HTML to plain text, keeping paragraphs and list items on their own lines
+const htmlToText = (html = '') => decodeEntities(stripHiddenContent(String(html))
+  .replace(/<li\b[^<>]*>/gi, '\n- ')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|ul|ol|h[1-6]|tr|section|article|header|footer|title)>/gi, '\n')
+  .replace(/<[^<>]+>/g, ' '))
+  .replace(/[ \t ]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .replace(/\n+(?=- )/g, '\n')
+  .trim();
+
+const looksLikeHtml = (content) => /<\/?[a-z][^<>]*>/i.test(content);
+
+// Cut text to a field limit at a word boundary
+const truncate = (text, limit) => {
+  if (!text || text.length <= limit) return text;
+  const cut = text.slice(0, limit - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > limit * 0.8 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+// ---- JSON-LD -------------------------------------------------------------
+
+const hasType = (node, type) => {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(value => typeof value === 'string' && value.replace(/^.*[/:]/, '') === type);
+};
+
+// Find the first JobPosting in a JSON-LD value, looking through arrays and @graph
+const findJobPosting = (node) => {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJobPosting(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (hasType(node, 'JobPosting')) return node;
+  return findJobPosting(node['@graph']);
+};
+
+const extractJsonLd = (html) => {
+  const blocks = findElements(html, 'script')
+    .filter(element => /type\s*=\s*["']?application\/ld\+json/i.test(element.openTag));
+
+  for (const block of blocks) {
+    try {
+      const posting = findJobPosting(JSON.parse(block.inner.trim()));
+      if (posting) return posting;
+    } catch (error) {
+      // Skip malformed blocks; sites often ship several
+    }
+  }
+
+  return null;
+};
+
+const textOf = (value) => {
+  if (!value) return undefined;
+  if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join('\n');
+  if (typeof value === 'object') return textOf(value.name || value.description || value['@value']);
+  return htmlToText(String(value)) || undefined;
+};
+
+const formatPlace = (place) => {
+  if (!place) return undefined;
+  if (typeof place === 'string') return place;
+  const address = typeof place.address === 'string' ? { streetAddress: place.address } : place.address || {};
+  const country = typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry;
+  const parts = [address.addressLocality, address.addressRegion, country].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : place.name;
+};
+
+const SALARY_PERIODS = { HOUR: 'hourly', DAY: 'daily', WEEK: 'weekly', MONTH: 'monthly', YEAR: 'annual' };
+
+// Read a schema.org MonetaryAmount into a salary range
+const salaryFromJsonLd = (baseSalary) => {
+  if (!baseSalary) return undefined;
+  if (typeof baseSalary !== 'object') return parseSalary(String(baseSalary)) || undefined;
+
+  const value = typeof baseSalary.value === 'object' ? baseSalary.value : { value: baseSalary.value };
+  const toNumber = (amount) => (amount === undefined || amount === null || amount === '' ? undefined : Number(amount));
+  const min = toNumber(value.minValue !== undefined ? value.minValue : value.value);
+  const max = toNumber(value.maxValue !== undefined ? value.maxValue : value.value);
+  if (!Number.isFinite(min) && !Number.isFinite(max)) return undefined;
+
+  return {
+    min: Number.isFinite(min) ? min : undefined,
+    max: Number.isFinite(max) ? max : undefined,
+    currency: /^[A-Z]{3}$/i.test(baseSalary.currency || '') ? baseSalary.currency.toUpperCase() : undefined,
+    period: SALARY_PERIODS[String(value.unitText || baseSalary.unitText || '').toUpperCase()]
+  };
+};
+
+// Map a JobPosting to job fields
+const draftFromJsonLd = (posting) => {
+  const locations = (Array.isArray(posting.jobLocation) ? posting.jobLocation : [posting.jobLocation])
+    .map(formatPlace)
+    .filter(Boolean);
+  const remote = String(posting.jobLocationType || '').toUpperCase() === 'TELECOMMUTE';
+  if (remote) locations.push('Remote');
+
+  const employmentTypes = (Array.isArray(posting.employmentType) ? posting.employmentType : [posting.employmentType])
+    .filter(value => typeof value === 'string')
+    .map(value => value.toLowerCase().replace(/[_\s]+/g, '-'));
+
+  const organization = posting.hiringOrganization;
+  const salaryRange = salaryFromJsonLd(posting.baseSalary || posting.estimatedSalary);
+
+  return {
+    draft: {
+      title: textOf(posting.title),
+      company: typeof organization === 'string' ? organization : textOf(organization && organization.name),
+      location: locations.length > 0 ? [...new Set(locations)].join('; ') : undefined,
+      salary: formatSalaryRange(salaryRange),
+      salaryRange,
+      description: textOf(posting.description),
+      requirements: textOf(posting.qualifications || posting.experienceRequirements || posting.skills),
+      jobUrl: typeof posting.url === 'string' ? posting.url : undefined,
+      tags: employmentTypes
+    },
+    details: {
+      datePosted: posting.datePosted || null,
+      validThrough: posting.validThrough || null
+    }
+  };
+};
+
+// ---- Heuristics ----------------------------------------------------------
+
+const metaContent = (html, name) => {
+  const attribute = new RegExp(`(?:property|name)\\s*=\\s*["']${name}["']`, 'i');
+  const tag = (html.match(/<meta\b[^<>]*>/gi) || []).find(meta => attribute.test(meta));
+  if (!tag) return undefined;
+  const content = /content\s*=\s*("([^"]*)"|'([^']*)')/i.exec(tag);
+  return content ? decodeEntities(content[2] !== undefined ? content[2] : content[3]).trim() || undefined : undefined;
+};
+
+const firstTagText = (html, tag) => {
+  const [element] = findElements(html, tag);
+  return element ? htmlToText(element.inner) || undefined : undefined;
+};
+
+// Value of a "Label: value" line
+const labelledValue = (text, labels) => {
+  const pattern = new RegExp(`^[ \\t]*(?:${labels.join('|')})[ \\t]*[:\\-–][ \\t]*(.+)$`, 'im');
+  const match = pattern.exec(text);
+  return match ? match[1].trim() : undefined;
+};
+
+// "Senior Engineer at Acme", "Senior Engineer - Acme | Careers", "Acme is hiring a Senior Engineer"
+const splitTitle = (value) => {
+  if (!value) return {};
+  // Anything longer than a title is body text and not worth scanning
+  const clean = value.slice(0, 300).replace(/\s*[|·]\s*(careers?|jobs?|linkedin|indeed|glassdoor|greenhouse|lever|workable)\b.*$/i, '').trim();
+
+  let match = /^(.+?) is hiring (?:an? )?(.+)$/i.exec(clean);
+  if (match) return { company: match[1].trim(), title: match[2].trim() };
+
+  match = /^(.+?)\s+(?:at|@)\s+(.+)$/i.exec(clean);
+  if (match) return { title: match[1].trim(), company: match[2].trim() };
+
+  match = /^(.+?)\s+[-–—|]\s+(.+)$/.exec(clean);
+  if (match) return { title: match[1].trim(), company: match[2].trim() };
+
+  return { title: clean };
+};
+
+const SALARY_PATTERN = /(?:[$€£]|\b(?:USD|EUR|GBP|CAD|AUD)\s?)\s?\d[\d,.]*\s*[kK]?(?:\s*(?:-|–|to)\s*(?:[$€£]|\b(?:USD|EUR|GBP|CAD|AUD)\s?)?\s?\d[\d,.]*\s*[kK]?)?(?:\s*(?:\/|per)\s*(?:year|yr|annum|hour|hr|month|mo))?/;
+
+const REQUIREMENT_HEADINGS = /^(?:requirements|qualifications|minimum qualifications|what you(?:'|’)ll need|what we(?:'|’)re looking for|you have|about you|skills)\s*:?\s*$/i;
+
+// Lines under a requirements-style heading, up to the next heading-like line
+const findRequirements = (text) => {
+  const lines = text.split('\n');
+  const start = lines.findIndex(line => REQUIREMENT_HEADINGS.test(line.trim()));
+  if (start === -1) return undefined;
+
+  const section = [];
+  for (const line of lines.slice(start + 1)) {
+    const trimmed = line.trim();
+    const isHeading = trimmed && !trimmed.startsWith('-') && trimmed.length < 60 && /:$|^[A-Z][^.!?]*$/.test(trimmed) && section.length > 0;
+    if (isHeading) break;
+    if (trimmed) section.push(trimmed);
+  }
+
+  return section.length > 0 ? section.join('\n') : undefined;
+};
+
+const draftFromHeuristics = (content) => {
+  // Headings and meta tags inside comments or scripts aren't part of the page
+  const html = looksLikeHtml(content) ? stripHiddenContent(content) : null;
+  const text = html ? htmlToText(html) : content.trim();
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const fromTitle = splitTitle(html && (metaContent(html, 'og:title') || firstTagText(html, 'title')));
+  const heading = html ? firstTagText(html, 'h1') : lines[0];
+  const fromHeading = splitTitle(heading);
+
+  const title = labelledValue(text, ['job title', 'title', 'position', 'role']) ||
+    fromHeading.title || fromTitle.title;
+  const company = labelledValue(text, ['company', 'employer', 'organization', 'organisation']) ||
+    (html && metaContent(html, 'og:site_name')) || fromHeading.company || fromTitle.company;
+  const salaryLine = labelledValue(text, ['salary', 'compensation', 'pay', 'salary range', 'base salary']);
+  const salaryMatch = SALARY_PATTERN.exec(salaryLine || text);
+  const salaryText = salaryMatch ? salaryMatch[0].trim() : salaryLine;
+
+  // Description: everything after the heading, or the meta description
+  const headingIndex = heading ? lines.indexOf(heading) : -1;
+  const body = lines.slice(headingIndex + 1).join('\n');
+
+  return {
+    draft: {
+      title,
+      company,
+      location: labelledValue(text, ['location', 'locations', 'based in', 'office']) ||
+        (/\b(fully remote|remote[- ]first|100% remote)\b/i.test(text) ? 'Remote' : undefined),
+      salary: salaryText,
+      salaryRange: parseSalary(salaryText) || undefined,
+      description: body || (html && metaContent(html, 'description')),
+      requirements: findRequirements(text)
+    },
+    details: {}
+  };
+};
+
+// ---- Draft ---------------------------------------------------------------
+
+// Parse pasted posting content into { source, draft, missing, truncated, details }
+const parseJobPosting = (content, { url } = {}) => {
+  const posting = looksLikeHtml(content) ? extractJsonLd(content) : null;
+  const { draft, details } = posting ? draftFromJsonLd(posting) : draftFromHeuristics(content);
+
+  if (url) {
+    draft.jobUrl = url;
+  }
+  if (draft.jobUrl && !/^https?:\/\//i.test(draft.jobUrl)) {
+    delete draft.jobUrl;
+  }
+
+  // Fit each field to the Job schema, noting what had to be shortened
+  const truncated = [];
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (draft[field] && draft[field].length > limit) {
+      draft[field] = truncate(draft[field], limit);
+      truncated.push(field);
+    }
+  });
+
+  Object.keys(draft).forEach(field => {
+    if (draft[field] === undefined || (Array.isArray(draft[field]) && draft[field].length === 0)) {
+      delete draft[field];
+    }
+  });
+
+  return {
+    source: posting ? 'json-ld' : 'heuristic',
+    draft: {
+      ...draft,
+      status: 'applied',
+      applicationDate: new Date()
+    },
+    missing: ['title', 'company'].filter(field => !draft[field]),
+    truncated,
+    details
+  };
+};
+
+module.exports = {
+  htmlToText,
+  parseJobPosting
+};
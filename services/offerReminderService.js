@@ -0,0 +1,106 @@
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const { sendOfferDeadlineEmail } = require('./emailService');
+
+// How many days before an offer's deadline the reminder goes out
+const OFFER_REMINDER_DAYS = parseInt(process.env.OFFER_REMINDER_DAYS, 10) || 3;
+
+// How often upcoming deadlines are checked
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Offers still waiting on an answer
+const OPEN_OFFER_STATUSES = ['pending', 'negotiating'];
+
+// Email each user about open offers expiring within the reminder window.
+// An offer is only reminded about once per deadline.
+const sendOfferDeadlineReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + OFFER_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const jobs = await Job.find({
+    'offer.status': { $in: OPEN_OFFER_STATUSES },
+    'offer.expiresAt': { $gt: now, $lte: windowEnd },
+    'offer.deadlineReminderSentAt': null,
+    archivedAt: null
+  })
+    .select('user title company offer.expiresAt')
+    .lean();
+
+  if (jobs.length === 0) return 0;
+
+  const byUser = jobs.reduce((groups, job) => {
+    const key = job.user.toString();
+    groups[key] = groups[key] || [];
+    groups[key].push(job);
+    return groups;
+  }, {});
+
+  const users = await User.find({ _id: { $in: Object.keys(byUser) }, isActive: { $ne: false } })
+    .select('email firstName preferences.offerReminders')
+    .lean();
+
+  let sent = 0;
+
+  for (const user of users) {
+    if (user.preferences && user.preferences.offerReminders === false) continue;
+
+    const userJobs = byUser[user._id.toString()]
+      .sort((a, b) => a.offer.expiresAt - b.offer.expiresAt);
+    const delivered = await sendOfferDeadlineEmail(user.email, user.firstName, userJobs.map(job => ({
+      title: job.title,
+      company: job.company,
+      expiresAt: job.offer.expiresAt
+    })));
+
+    // Try again on the next run if the email didn't go out
+    if (!delivered) continue;
+
+    await Job.updateMany(
+      { _id: { $in: userJobs.map(job => job._id) } },
+      { $set: { 'offer.deadlineReminderSentAt': now } }
+    );
+    sent += 1;
+
+    try {
+      await Activity.insertMany(userJobs.map(job => ({
+        user: user._id,
+        job: job._id,
+        type: 'email-sent',
+        summary: 'Offer deadline reminder sent',
+        details: { to: user.email, expiresAt: job.offer.expiresAt },
+        occurredAt: now
+      })));
+    } catch (error) {
+      // The reminder went out and is marked sent; a missing timeline entry
+      // shouldn't stop the other users' reminders
+      console.error('❌ Error logging offer reminder activity:', error.message);
+    }
+  }
+
+  return sent;
+};
+
+// Check for upcoming offer deadlines now and then periodically
+const startOfferReminderSchedule = () => {
+  const run = async () => {
+    try {
+      const sent = await sendOfferDeadlineReminders();
+      if (sent > 0) {
+        console.log(`⏰ Sent ${sent} offer deadline reminder(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error sending offer deadline reminders:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, REMINDER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  OFFER_REMINDER_DAYS,
+  sendOfferDeadlineReminders,
+  startOfferReminderSchedule
+};
@@ -0,0 +1,171 @@
+const { convertCurrency } = require('../config/exchangeRates');
+const { OFFER_RATINGS } = require('../config/offers');
+const { PERIODS_PER_YEAR, DEFAULT_CURRENCY } = require('./salaryService');
+
+// Job offers: yearly compensation and weighted side-by-side comparison
+
+// Compensation criteria, compared relative to the best offer
+const COMPENSATION_CRITERIA = ['totalCompensation', 'base', 'bonus', 'equity', 'benefits', 'signOnBonus'];
+
+const OFFER_CRITERIA = [...COMPENSATION_CRITERIA, ...OFFER_RATINGS];
+
+// Used when the request names no weights
+const DEFAULT_WEIGHTS = {
+  totalCompensation: 4,
+  culture: 1,
+  growth: 1,
+  workLifeBalance: 1,
+  location: 1
+};
+
+const MAX_WEIGHT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isExpired = (offer, now = new Date()) => Boolean(offer.expiresAt) && offer.expiresAt < now;
+
+// Yearly compensation in the offer's own currency. The sign-on bonus is paid
+// once, so it only counts towards the first year.
+const annualCompensation = (offer) => {
+  const base = offer.baseSalary * PERIODS_PER_YEAR[offer.period || 'annual'];
+  const bonus = offer.annualBonus || 0;
+  const equity = (offer.equity && offer.equity.annualValue) || 0;
+  const benefits = offer.benefitsValue || 0;
+  const signOnBonus = offer.signOnBonus || 0;
+  const totalCompensation = base + bonus + equity + benefits;
+
+  return {
+    base,
+    bonus,
+    equity,
+    benefits,
+    signOnBonus,
+    totalCompensation,
+    firstYearTotal: totalCompensation + signOnBonus
+  };
+};
+
+// Convert every compensation figure; null when the currency has no rate
+const convertCompensation = (compensation, from, to) => {
+  const converted = {};
+
+  for (const [key, amount] of Object.entries(compensation)) {
+    const value = convertCurrency(amount, from, to);
+    if (value == null) return null;
+    converted[key] = Math.round(value);
+  }
+
+  return converted;
+};
+
+// Read "totalCompensation:3,culture:2" (or an array of pairs) into weights;
+// criteria left out get no weight
+const parseWeights = (pairs) => {
+  if (pairs.length === 0) return { ...DEFAULT_WEIGHTS };
+
+  return pairs.reduce((weights, pair) => {
+    const [criterion, weight] = pair.split(':').map(part => part.trim());
+    weights[criterion] = Number(weight);
+    return weights;
+  }, {});
+};
+
+// Score 0-1 for one criterion of one offer; null when the offer isn't rated on it
+const criterionScore = (entry, criterion, best) => {
+  if (OFFER_RATINGS.includes(criterion)) {
+    const rating = entry.ratings[criterion];
+    return rating == null ? null : rating / 5;
+  }
+
+  // All offers at zero are equally good
+  if (!best[criterion]) return 1;
+  return entry.compensation[criterion] / best[criterion];
+};
+
+// Rank active offers by weighted criteria, with compensation in one currency.
+// Criteria an offer has no rating for are left out of its score.
+const compareOffers = (jobs, { currency, weights, now = new Date() }) => {
+  const entries = [];
+  const unconverted = [];
+
+  jobs.forEach(job => {
+    const offer = job.offer;
+    const offerCurrency = offer.currency || DEFAULT_CURRENCY;
+    const compensation = convertCompensation(annualCompensation(offer), offerCurrency, currency);
+
+    const summary = {
+      jobId: job._id,
+      title: job.title,
+      company: job.company,
+      offerStatus: offer.status,
+      originalCurrency: offerCurrency,
+      startDate: offer.startDate || null,
+      expiresAt: offer.expiresAt || null,
+      daysUntilDeadline: offer.expiresAt ? Math.ceil((offer.expiresAt - now) / DAY_MS) : null,
+      expired: isExpired(offer, now)
+    };
+
+    if (!compensation) {
+      unconverted.push(summary);
+      return;
+    }
+
+    entries.push({
+      ...summary,
+      compensation,
+      ratings: OFFER_RATINGS.reduce((ratings, rating) => {
+        ratings[rating] = offer.ratings && offer.ratings[rating] != null ? offer.ratings[rating] : null;
+        return ratings;
+      }, {})
+    });
+  });
+
+  const best = COMPENSATION_CRITERIA.reduce((values, criterion) => {
+    values[criterion] = Math.max(0, ...entries.map(entry => entry.compensation[criterion]));
+    return values;
+  }, {});
+
+  const criteria = Object.keys(weights).filter(criterion => weights[criterion] > 0);
+
+  const offers = entries.map(entry => {
+    let weighted = 0;
+    let totalWeight = 0;
+    const unrated = [];
+
+    criteria.forEach(criterion => {
+      const score = criterionScore(entry, criterion, best);
+      if (score == null) {
+        unrated.push(criterion);
+        return;
+      }
+      weighted += weights[criterion] * score;
+      totalWeight += weights[criterion];
+    });
+
+    return {
+      ...entry,
+      score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 1000) / 10 : null,
+      unrated,
+      // How far behind the best total package this offer is
+      behindBestTotal: best.totalCompensation - entry.compensation.totalCompensation
+    };
+  });
+
+  offers.sort((a, b) => (b.score || 0) - (a.score || 0) ||
+    b.compensation.totalCompensation - a.compensation.totalCompensation);
+  offers.forEach((offer, index) => {
+    offer.rank = index + 1;
+  });
+
+  return { offers, unconverted };
+};
+
+module.exports = {
+  OFFER_CRITERIA,
+  DEFAULT_WEIGHTS,
+  MAX_WEIGHT,
+  isExpired,
+  annualCompensation,
+  parseWeights,
+  compareOffers
+};
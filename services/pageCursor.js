@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/error');
+
+// Opaque keyset pagination cursors. A cursor records the sort values of the
+// last item on a page; the next page holds everything sorted after it.
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && value.$date) return new Date(value.$date);
+  if (value && value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  return value;
+};
+
+// Read a possibly nested sort field from a document or plain object
+const readPath = (doc, path) => (typeof doc.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc));
+
+// Identifies the sort a cursor was made for, so it can't be reused with another
+const sortSignature = (sortKeys) => sortKeys.map(key => `${key.field}:${key.dir}`).join(',');
+
+// Build the cursor pointing at a document for the given sort keys
+const encodeCursor = (sortKeys, doc) => Buffer.from(JSON.stringify({
+  s: sortSignature(sortKeys),
+  v: sortKeys.map(key => encodeValue(readPath(doc, key.field)))
+})).toString('base64url');
+
+// Read a cursor back into sort values, rejecting tampered or mismatched cursors
+const decodeCursor = (sortKeys, cursor) => {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (!parsed || parsed.s !== sortSignature(sortKeys) || !Array.isArray(parsed.v) || parsed.v.length !== sortKeys.length) {
+    throw new AppError('Pagination cursor does not match the requested sort', 400);
+  }
+
+  try {
+    return parsed.v.map(decodeValue);
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+};
+
+// Condition for a value sorting strictly after `value`. Missing values sort
+// lowest, so they come first ascending and last descending.
+const beyond = (value, dir) => {
+  if (dir === 1) {
+    return value === null ? { $ne: null } : { $gt: value };
+  }
+  // Everything below the value, including missing ones
+  return value === null ? null : { $not: { $gte: value } };
+};
+
+// Build the filter matching documents sorted after the cursor position
+const buildCursorFilter = (sortKeys, values) => {
+  const clauses = [];
+
+  sortKeys.forEach((key, index) => {
+    const next = beyond(values[index], key.dir);
+    if (!next) return;
+
+    const clause = {};
+    sortKeys.slice(0, index).forEach((previous, i) => {
+      clause[previous.field] = values[i];
+    });
+    clause[key.field] = next;
+    clauses.push(clause);
+  });
+
+  // Nothing can sort after this position
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,199 @@
+const { convertCurrency } = require('../config/exchangeRates');
+const { DEFAULT_CURRENCY, convertAnnual } = require('./salaryService');
+const { normalizeName } = require('./companyService');
+const { annualCompensation } = require('./offerService');
+
+// Salary distributions for analytics. All figures are annual and converted to
+// one report currency so postings in different currencies can be compared.
+
+const round = (value) => Math.round(value);
+
+// Linear interpolation between the closest ranks
+const percentile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Spread of a set of converted salaries, taking each job at the middle of its range
+const describeDistribution = (entries) => {
+  if (entries.length === 0) {
+    return { count: 0, min: null, max: null, average: null, p25: null, median: null, p75: null };
+  }
+
+  const midpoints = entries.map(entry => entry.midpoint).sort((a, b) => a - b);
+
+  return {
+    count: entries.length,
+    min: Math.min(...entries.map(entry => entry.annualMin)),
+    max: Math.max(...entries.map(entry => entry.annualMax)),
+    average: round(midpoints.reduce((sum, value) => sum + value, 0) / midpoints.length),
+    p25: round(percentile(midpoints, 0.25)),
+    median: round(percentile(midpoints, 0.5)),
+    p75: round(percentile(midpoints, 0.75))
+  };
+};
+
+const GROUP_KEYS = {
+  title: job => (job.title || '').trim().toLowerCase().replace(/\s+/g, ' '),
+  location: job => (job.location || '').trim().toLowerCase().replace(/\s+/g, ' '),
+  // The canonical company (populated companyId) when the job has one
+  company: job => (job.companyId ? String(job.companyId._id || job.companyId) : normalizeName(job.company))
+};
+
+// Name a group is shown under: the canonical company name, otherwise the
+// first spelling seen
+const groupLabel = (job, field) => (field === 'company' && job.companyId && job.companyId.name
+  ? job.companyId.name
+  : job[field].trim());
+
+// Distributions per title, location or company, largest groups first
+const groupDistributions = (entries, field, limit) => {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const key = GROUP_KEYS[field](entry.job);
+    if (!key) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, { [field]: groupLabel(entry.job, field), entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ [field]: group[field], ...describeDistribution(group.entries) }))
+    .sort((a, b) => b.count - a.count || b.median - a.median)
+    .slice(0, limit);
+};
+
+const describeSet = (entries, limit) => ({
+  overall: describeDistribution(entries),
+  byTitle: groupDistributions(entries, 'title', limit),
+  byLocation: groupDistributions(entries, 'location', limit),
+  byCompany: groupDistributions(entries, 'company', limit)
+});
+
+// Where a range sits against the target: below its minimum, above its
+// maximum, or within it
+const comparePosition = (entry, target) => {
+  if (target.min != null && entry.annualMax < target.min) return 'below';
+  if (target.max != null && entry.annualMin > target.max) return 'above';
+  return 'within';
+};
+
+// Compare offered pay with the user's preferences.salaryRange
+const compareWithTarget = (offers, preference, currency) => {
+  if (!preference || (preference.min == null && preference.max == null)) {
+    return null;
+  }
+
+  const targetCurrency = (preference.currency || DEFAULT_CURRENCY).toUpperCase();
+  const target = {
+    min: preference.min != null ? convertCurrency(preference.min, targetCurrency, currency) : null,
+    max: preference.max != null ? convertCurrency(preference.max, targetCurrency, currency) : null
+  };
+
+  // Target currency missing from the exchange-rate table
+  if ((preference.min != null && target.min == null) || (preference.max != null && target.max == null)) {
+    return null;
+  }
+
+  const counts = { below: 0, within: 0, above: 0 };
+  const details = offers.map(entry => {
+    const position = comparePosition(entry, target);
+    counts[position] += 1;
+
+    return {
+      jobId: entry.job._id,
+      title: entry.job.title,
+      company: entry.job.company,
+      annualMin: entry.annualMin,
+      annualMax: entry.annualMax,
+      position,
+      differenceFromTargetMin: target.min != null ? round(entry.midpoint - target.min) : null
+    };
+  });
+
+  return {
+    target: {
+      min: target.min != null ? round(target.min) : null,
+      max: target.max != null ? round(target.max) : null,
+      originalCurrency: targetCurrency
+    },
+    ...counts,
+    offers: details.sort((a, b) => b.annualMax - a.annualMax)
+  };
+};
+
+const toEntry = (job, converted) => ({
+  job,
+  ...converted,
+  midpoint: (converted.annualMin + converted.annualMax) / 2
+});
+
+// Yearly pay of a recorded offer (base, bonus and equity), converted
+const convertOffer = (offer, currency) => {
+  const { base, bonus, equity } = annualCompensation(offer);
+  const total = convertCurrency(base + bonus + equity, offer.currency || DEFAULT_CURRENCY, currency);
+  if (total == null) return null;
+
+  return { annualMin: Math.round(total), annualMax: Math.round(total) };
+};
+
+// Build the salary report for a user's jobs. Posted figures come from each
+// job's salaryRange; offered figures from the recorded offer, or for jobs
+// marked offered without one, from the posted range. Pay in a currency
+// without an exchange rate is counted but left out.
+const buildSalaryReport = (jobs, { currency, preference, limit = 10 }) => {
+  const posted = [];
+  const offers = [];
+  const unconvertedJobs = new Set();
+  const unconverted = new Set();
+
+  const skip = (job, fromCurrency) => {
+    unconvertedJobs.add(job);
+    unconverted.add(fromCurrency || DEFAULT_CURRENCY);
+  };
+
+  jobs.forEach(job => {
+    let postedEntry = null;
+    if (job.salaryRange && job.salaryRange.annualMax != null) {
+      const converted = convertAnnual(job.salaryRange, currency);
+      if (converted) {
+        postedEntry = toEntry(job, converted);
+        posted.push(postedEntry);
+      } else {
+        skip(job, job.salaryRange.currency);
+      }
+    }
+
+    if (job.offer) {
+      const converted = convertOffer(job.offer, currency);
+      if (converted) {
+        offers.push(toEntry(job, converted));
+      } else {
+        skip(job, job.offer.currency);
+      }
+    } else if (job.status === 'offered' && postedEntry) {
+      offers.push(postedEntry);
+    }
+  });
+
+  return {
+    currency,
+    posted: describeSet(posted, limit),
+    offered: describeSet(offers, limit),
+    targetComparison: compareWithTarget(offers, preference, currency),
+    unconverted: {
+      count: unconvertedJobs.size,
+      currencies: [...unconverted]
+    }
+  };
+};
+
+module.exports = {
+  describeDistribution,
+  buildSalaryReport
+};
@@ -0,0 +1,207 @@
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, convertCurrency } = require('../config/exchangeRates');
+
+// Structured salaries: parse free-text pay into a range, annualize it and
+// compare it against the user's target range
+
+const PAY_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'annual'];
+
+// Working periods in a year, used to annualize pay
+const PERIODS_PER_YEAR = {
+  hourly: 2080,
+  daily: 260,
+  weekly: 52,
+  monthly: 12,
+  annual: 1
+};
+
+const PERIOD_LABELS = {
+  hourly: 'hour',
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  annual: 'year'
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Checked in order, so prefixed dollars come before the plain "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['S$', 'SGD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR']
+];
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'INR', 'SGD', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR'];
+
+const PERIOD_PATTERNS = [
+  ['hourly', /\b(hour|hourly|hr|ph)\b|\/\s*h\b/i],
+  ['daily', /\b(day|daily|per diem)\b/i],
+  ['weekly', /\b(week|weekly|wk|pw)\b/i],
+  ['monthly', /\b(month|monthly|mo|pcm)\b/i],
+  ['annual', /\b(year|yearly|annual|annually|annum|yr|pa|p\.a)\b/i]
+];
+
+const detectCurrency = (text) => {
+  const code = new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`, 'i').exec(text);
+  if (code) return code[1].toUpperCase();
+
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  return symbol ? symbol[1] : null;
+};
+
+// Read "120,000", "120k", "1.5M" or "70.000" as a number
+const parseAmount = (digits, suffix) => {
+  let value = digits;
+
+  // A separator followed by exactly three digits groups thousands
+  if (/^\d{1,3}([.,\s]\d{3})+$/.test(value)) {
+    value = value.replace(/[.,\s]/g, '');
+  } else {
+    value = value.replace(/,/g, '.');
+  }
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+
+  const multiplier = { k: 1000, m: 1000000 }[(suffix || '').toLowerCase()] || 1;
+  return number * multiplier;
+};
+
+// Parse free-text pay such as "$120k - $150k", "EUR 70,000-90,000 / year" or
+// "$45/hr" into { min, max, currency, period }; null when no amount is found
+const parseSalary = (text) => {
+  if (!text || !/\d/.test(text)) return null;
+
+  const source = String(text);
+  const pattern = /(\d{1,3}(?:[.,\s]\d{3})+|\d+(?:[.,]\d+)?)\s*([kKmM])?(?![\d%])/g;
+  const amounts = [];
+  let match;
+
+  while ((match = pattern.exec(source)) !== null && amounts.length < 2) {
+    // Skip things like "401k" or "2 years"
+    const rest = source.slice(match.index + match[0].length, match.index + match[0].length + 8);
+    if (/^\s*\+?\s*(years?|yrs?|%|days? (?:pto|off)|weeks? (?:pto|off))/i.test(rest)) continue;
+    if (/401k/i.test(source.slice(Math.max(0, match.index - 1), match.index + 4))) continue;
+
+    amounts.push({ value: parseAmount(match[1], match[2]), suffix: match[2] });
+  }
+
+  if (amounts.length === 0 || amounts.some(amount => amount.value === null)) return null;
+
+  // "120-150k": the suffix applies to both ends
+  if (amounts.length === 2 && !amounts[0].suffix && amounts[1].suffix && amounts[0].value < 1000) {
+    amounts[0].value = parseAmount(String(amounts[0].value), amounts[1].suffix);
+  }
+
+  let [min, max] = amounts.map(amount => Math.round(amount.value * 100) / 100);
+
+  if (max === undefined) {
+    if (/\bup to\b|\bmax(imum)?\b/i.test(source)) {
+      [min, max] = [undefined, min];
+    } else if (!/\d\s*[kKmM]?\s*\+|\bfrom\b|\bat least\b|\bmin(imum)?\b/i.test(source)) {
+      max = min;
+    }
+  } else if (min > max) {
+    [min, max] = [max, min];
+  }
+
+  const explicitPeriod = PERIOD_PATTERNS.find(([, periodPattern]) => periodPattern.test(source));
+  const top = max !== undefined ? max : min;
+
+  return {
+    min,
+    max,
+    currency: detectCurrency(source) || DEFAULT_CURRENCY,
+    // Without a stated period, small amounts are hourly rates
+    period: explicitPeriod ? explicitPeriod[0] : (top < 500 ? 'hourly' : 'annual')
+  };
+};
+
+// Yearly equivalents of a range's ends; a one-sided range uses the same value for both
+const annualize = (range) => {
+  if (!range || (range.min == null && range.max == null)) {
+    return { annualMin: undefined, annualMax: undefined };
+  }
+
+  const perYear = PERIODS_PER_YEAR[range.period || 'annual'];
+  const low = range.min != null ? range.min : range.max;
+  const high = range.max != null ? range.max : range.min;
+
+  return {
+    annualMin: Math.round(low * perYear),
+    annualMax: Math.round(high * perYear)
+  };
+};
+
+const formatAmount = (value) => Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+// Describe a range as text, e.g. "USD 120,000-150,000 / year"
+const formatSalaryRange = (range) => {
+  if (!range || (range.min == null && range.max == null)) return undefined;
+
+  let amount;
+  if (range.min != null && range.max != null && range.min !== range.max) {
+    amount = `${formatAmount(range.min)}-${formatAmount(range.max)}`;
+  } else if (range.min != null && range.max == null) {
+    amount = `${formatAmount(range.min)}+`;
+  } else if (range.min == null) {
+    amount = `up to ${formatAmount(range.max)}`;
+  } else {
+    amount = formatAmount(range.min);
+  }
+
+  return `${range.currency || DEFAULT_CURRENCY} ${amount} / ${PERIOD_LABELS[range.period || 'annual']}`;
+};
+
+// A range's annual figures in another currency; null when there's no rate
+const convertAnnual = (range, currency) => {
+  if (!range || range.annualMax == null) return null;
+
+  const from = range.currency || DEFAULT_CURRENCY;
+  const annualMin = convertCurrency(range.annualMin, from, currency);
+  const annualMax = convertCurrency(range.annualMax, from, currency);
+  if (annualMin == null || annualMax == null) return null;
+
+  return { annualMin: Math.round(annualMin), annualMax: Math.round(annualMax) };
+};
+
+// Currency to report figures in: the requested one, else the currency of the
+// user's target range when it has an exchange rate
+const reportCurrency = (requested, preference) => {
+  if (requested) return requested;
+
+  const preferred = preference && preference.currency && preference.currency.toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(preferred) ? preferred : BASE_CURRENCY;
+};
+
+// Whether a job's pay tops out under the user's target minimum (an annual
+// figure in preferences.salaryRange). Other currencies are converted with the
+// exchange-rate table. Null when either side is unknown or there's no rate.
+const isBelowTarget = (range, target) => {
+  if (!range || range.annualMax == null || !target || target.min == null) return null;
+
+  const converted = convertAnnual(range, (target.currency || DEFAULT_CURRENCY).toUpperCase());
+  if (!converted) return null;
+
+  return converted.annualMax < target.min;
+};
+
+module.exports = {
+  PAY_PERIODS,
+  PERIODS_PER_YEAR,
+  DEFAULT_CURRENCY,
+  parseSalary,
+  annualize,
+  formatSalaryRange,
+  convertAnnual,
+  reportCurrency,
+  isBelowTarget
+};
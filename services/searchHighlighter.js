@@ -0,0 +1,93 @@
+// Build highlighted snippets showing where a full-text search matched a job
+
+// Fields covered by the job text index, in display order
+const SEARCH_FIELDS = ['title', 'company', 'tags', 'location', 'description', 'requirements', 'notes'];
+
+const SNIPPET_RADIUS = 60;
+const MAX_HIGHLIGHTS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a $text search string into positive phrases and words.
+// Negated terms (-word, -"phrase") are dropped since they never match.
+const parseSearchTerms = (search = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1]) terms.push({ text: match[2].trim(), phrase: true });
+    } else if (!match[3]) {
+      terms.push({ text: match[4], phrase: false });
+    }
+  }
+
+  return terms.filter(term => term.text);
+};
+
+// Rough stem so "interviewing" also highlights "interview"
+const stem = (word) => word.toLowerCase().replace(/(ing|ed|es|s)$/, '') || word.toLowerCase();
+
+const buildPattern = (terms) => {
+  if (terms.length === 0) return null;
+
+  const parts = terms.map(term => (term.phrase
+    ? escapeRegex(term.text).replace(/\s+/g, '\\s+')
+    : `${escapeRegex(term.text.length > 4 ? stem(term.text) : term.text)}\\w*`));
+
+  return new RegExp(`\\b(?:${parts.join('|')})`, 'gi');
+};
+
+// Cut a snippet around the first match and report match ranges within it
+const buildSnippet = (text, pattern) => {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+  const ranges = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index >= start && match.index + match[0].length <= end) {
+      const offset = match.index - start + prefix.length;
+      ranges.push([offset, offset + match[0].length]);
+    }
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+
+  return { snippet, ranges };
+};
+
+// Return [{ field, snippet, ranges }] for the fields a job matched on
+const highlightJob = (job, search) => {
+  const pattern = buildPattern(parseSearchTerms(search));
+  if (!pattern) return [];
+
+  const highlights = [];
+
+  for (const field of SEARCH_FIELDS) {
+    const value = field === 'tags' ? (job.tags || []).join(', ') : job[field];
+    if (!value) continue;
+
+    const result = buildSnippet(String(value), pattern);
+    if (result) {
+      highlights.push({ field, ...result });
+    }
+    if (highlights.length >= MAX_HIGHLIGHTS) break;
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchTerms,
+  highlightJob
+};
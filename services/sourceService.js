@@ -0,0 +1,39 @@
+const { JOB_SOURCES } = require('../config/jobSources');
+
+// Source attribution: reading free-text sources into a known source
+
+// Statuses that mean the employer answered the application
+const RESPONSE_STATUSES = ['interviewing', 'offered', 'rejected'];
+
+// Free-text sources (e.g. from an imported spreadsheet) and the source they
+// belong to; the original text is kept as the source detail
+const SOURCE_PATTERNS = [
+  ['referral', /\b(referr?al|referred)\b/i],
+  ['recruiter-outreach', /\b(recruiter|headhunter|agency|inmail|reached out)\b/i],
+  ['company-site', /\b(company (site|website)|careers? (page|site)|website)\b/i],
+  ['career-fair', /\b(career|job) fair\b/i],
+  ['networking', /\b(network(ing)?|meetup|conference|friend)\b/i],
+  ['social-media', /\b(twitter|x\.com|facebook|instagram|mastodon|reddit|hacker news)\b/i],
+  ['job-board', /\b(linkedin|indeed|glassdoor|monster|ziprecruiter|dice|wellfound|angellist|otta|job ?board|hired)\b/i]
+];
+
+// Read a source given as text: a known key, or a description matched against
+// common channels. Unrecognized text becomes "other" with the text as detail.
+const normalizeSource = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return {};
+
+  const key = text.toLowerCase().replace(/[\s_]+/g, '-');
+  if (JOB_SOURCES.includes(key)) return { source: key };
+
+  const match = SOURCE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return {
+    source: match ? match[0] : 'other',
+    sourceDetail: text.slice(0, 100)
+  };
+};
+
+module.exports = {
+  RESPONSE_STATUSES,
+  normalizeSource
+};
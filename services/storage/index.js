@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { AppError } = require('../../middleware/error');
+
+let storage;
+
+// Get the configured storage adapter (STORAGE_DRIVER=local|s3, local by default)
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      storage = createLocalStorage({
+        root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+      });
+      break;
+    case 's3':
+      storage = createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  console.log(`📁 File storage: ${storage.name}`);
+  return storage;
+};
+
+// Build a unique storage key, e.g. "<userId>/jobs/<jobId>/<random>.pdf"
+const buildStorageKey = (userId, scope, originalName) => {
+  const extension = path.extname(originalName).toLowerCase();
+  return `${userId}/${scope}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+// Save an uploaded multer file and return the metadata stored on the model
+const storeUpload = async (file, key, url) => {
+  await getStorage().save(key, file.buffer, { contentType: file.mimetype });
+
+  return {
+    filename: key,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    url,
+    uploadedAt: new Date()
+  };
+};
+
+// Remove stored files, logging rather than failing on errors
+const removeStoredFiles = async (keys) => {
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      console.error(`❌ Failed to remove stored file ${key}:`, error.message);
+    }
+  }));
+};
+
+// Stream a stored file to the response as a download
+const sendStoredFile = async (res, file) => {
+  let stream;
+  try {
+    stream = await getStorage().getStream(file.filename);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      throw new AppError('File not found', 404);
+    }
+    throw error;
+  }
+
+  res.setHeader('Content-Type', file.mimetype || 'application/octet-stream');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename*=UTF-8''${encodeURIComponent(file.originalName || path.basename(file.filename))}`
+  );
+  if (file.size) {
+    res.setHeader('Content-Length', file.size);
+  }
+
+  stream.on('error', (error) => {
+    console.error('❌ Error streaming stored file:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  getStorage,
+  buildStorageKey,
+  storeUpload,
+  removeStoredFiles,
+  sendStoredFile
+};
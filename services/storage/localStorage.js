@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Store uploaded files on the local disk under a root directory
+const createLocalStorage = ({ root }) => {
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, key);
+
+    // Never allow a key to escape the upload directory
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolvePath(key);
+
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        const notFound = new Error(`File not found: ${key}`);
+        notFound.code = 'NOT_FOUND';
+        throw notFound;
+      }
+
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,55 @@
+// Store uploaded files in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+// Requires the optional @aws-sdk/client-s3 dependency.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('S3 storage requires the @aws-sdk/client-s3 package to be installed');
+  }
+
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET to be set');
+  }
+
+  const client = new s3.S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey }
+    })
+  });
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, { contentType } = {}) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async getStream(key) {
+      try {
+        const object = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          const notFound = new Error(`File not found: ${key}`);
+          notFound.code = 'NOT_FOUND';
+          throw notFound;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,77 @@
+const Job = require('../models/Job');
+const Contact = require('../models/Contact');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const { removeStoredFiles } = require('./storage');
+
+// How long trashed jobs are kept before they are purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often expired jobs are purged
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Filter on a job reference that leaves out the user's jobs in the trash,
+// for documents (activity, tasks) that outlive a soft delete
+const notTrashed = async (userId) => ({
+  $nin: await Job.distinct('_id', { user: userId, deletedAt: { $ne: null } })
+});
+
+// Permanently delete trashed jobs matching a filter, including their files
+const purgeJobs = async (filter) => {
+  const jobs = await Job.find({ $and: [filter, { deletedAt: { $ne: null } }] })
+    .setOptions({ withDeleted: true })
+    .select('attachments.filename')
+    .lean();
+
+  if (jobs.length === 0) return 0;
+
+  const ids = jobs.map(job => job._id);
+  await Job.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  await Contact.updateMany({ jobs: { $in: ids } }, { $pull: { jobs: { $in: ids } } });
+  // Interactions stay in the contact's history, just no longer about a job
+  await Contact.updateMany(
+    { 'interactions.job': { $in: ids } },
+    { $unset: { 'interactions.$[interaction].job': 1 } },
+    { arrayFilters: [{ 'interaction.job': { $in: ids } }] }
+  );
+  await Activity.deleteMany({ job: { $in: ids } });
+  await Task.deleteMany({ job: { $in: ids } });
+
+  const files = jobs.flatMap(job => (job.attachments || []).map(attachment => attachment.filename));
+  await removeStoredFiles(files);
+
+  return jobs.length;
+};
+
+// Purge every job that has been in the trash longer than the retention window
+const purgeExpiredJobs = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return purgeJobs({ deletedAt: { $lte: cutoff } });
+};
+
+// Run the purge now and then periodically
+const startTrashPurgeSchedule = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredJobs();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} job(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('❌ Error purging trashed jobs:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  notTrashed,
+  purgeJobs,
+  purgeExpiredJobs,
+  startTrashPurgeSchedule
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const Company = require('../../models/Company');
+const Job = require('../../models/Job');
+const { buildApp } = require('./helpers');
+
+const mockUser = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'secret123'
+});
+
+jest.mock('../../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const app = buildApp('/api/companies', require('../../routes/companies'));
+
+// Stored companies of the test user, looked up by id
+const stored = (...names) => {
+  const companies = names.map(name => Company.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    name,
+    aliases: [],
+    matchKeys: []
+  }));
+  jest.spyOn(Company, 'findById').mockImplementation(async id =>
+    companies.find(company => company._id.equals(id)) || null
+  );
+  return companies;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/companies/:id/merge', () => {
+  const merge = (company, source) => request(app)
+    .post(`/api/companies/${company._id}/merge`)
+    .send({ sourceId: source._id.toString() });
+
+  it('puts the source back when the merged company cannot be saved', async () => {
+    const [company, source] = stored('Acme', 'Acme Labs');
+    const deleteOne = jest.spyOn(Company.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Company.prototype, 'save').mockRejectedValue(new Error('Database unavailable'));
+    const create = jest.spyOn(Company, 'create').mockResolvedValue(source);
+    const updateJobs = jest.spyOn(Job, 'updateMany');
+
+    const res = await merge(company, source);
+
+    expect(res.status).toBe(500);
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ _id: source._id, name: 'Acme Labs' }));
+    expect(updateJobs).not.toHaveBeenCalled();
+  });
+
+  it('leaves the source alone when the merged company is invalid', async () => {
+    const [company, source] = stored('Acme', 'Acme Labs');
+    jest.spyOn(Company.prototype, 'validate').mockRejectedValue(new Error('Invalid company'));
+    const deleteOne = jest.spyOn(Company.prototype, 'deleteOne');
+
+    const res = await merge(company, source);
+
+    expect(res.status).toBe(500);
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
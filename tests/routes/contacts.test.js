@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const Contact = require('../../models/Contact');
+const { buildApp } = require('./helpers');
+
+const mockUser = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'secret123'
+});
+
+jest.mock('../../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const app = buildApp('/api/contacts', require('../../routes/contacts'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (n) => new Date(Date.UTC(2026, 9, n));
+
+// A stored contact of the test user; saves run the model's hooks but never
+// reach the database
+const stored = (fields) => {
+  const contact = Contact.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    name: 'Jane Recruiter',
+    jobs: [],
+    companies: [],
+    ...fields
+  });
+  jest.spyOn(Contact, 'findById').mockResolvedValue(contact);
+  jest.spyOn(Contact.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  jest.spyOn(Contact.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  return contact;
+};
+
+const interaction = (date) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'email',
+  date
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('contact interactions and the follow-up date', () => {
+  it('clears a follow-up answered by a newly logged interaction', async () => {
+    const contact = stored({ followUpDate: day(10), interactions: [interaction(day(1))] });
+
+    const res = await request(app)
+      .post(`/api/contacts/${contact._id}/interactions`)
+      .send({ type: 'call', date: day(12).toISOString() });
+
+    expect(res.status).toBe(201);
+    expect(contact.followUpDate).toBeUndefined();
+    expect(contact.lastContactedAt).toEqual(day(12));
+  });
+
+  it('clears a follow-up when an interaction is moved past it', async () => {
+    const earlier = interaction(day(1));
+    const contact = stored({ followUpDate: day(10), interactions: [earlier] });
+
+    const res = await request(app)
+      .patch(`/api/contacts/${contact._id}/interactions/${earlier._id}`)
+      .send({ date: day(11).toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(contact.followUpDate).toBeUndefined();
+  });
+
+  it('reschedules from the remaining interactions when the latest is deleted', async () => {
+    const latest = interaction(day(8));
+    const contact = stored({
+      followUpIntervalDays: 7,
+      followUpDate: day(15),
+      interactions: [interaction(day(1)), latest]
+    });
+
+    const res = await request(app)
+      .delete(`/api/contacts/${contact._id}/interactions/${latest._id}`);
+
+    expect(res.status).toBe(200);
+    expect(contact.followUpDate).toEqual(new Date(day(1).getTime() + 7 * DAY_MS));
+    expect(contact.lastContactedAt).toEqual(day(1));
+  });
+});
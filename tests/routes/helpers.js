@@ -0,0 +1,34 @@
+const express = require('express');
+
+// Route tests mount one router the way server.js does, without MongoDB:
+// auth is stubbed with jest.mock and model calls with jest.spyOn
+
+// An app serving `router` at `path`, with the error response of server.js
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || 'Internal Server Error'
+    });
+  });
+  return app;
+};
+
+// A chainable stand-in for a Mongoose query that resolves to `result`
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'sort', 'limit', 'lean', 'populate', 'setOptions'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+module.exports = {
+  buildApp,
+  mockQuery
+};
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const Job = require('../../models/Job');
+const Contact = require('../../models/Contact');
+const Activity = require('../../models/Activity');
+const Task = require('../../models/Task');
+const { MAX_TASKS_PER_JOB } = require('../../config/tasks');
+const { buildApp, mockQuery } = require('./helpers');
+
+const mockUser = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'secret123'
+});
+
+jest.mock('../../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const app = buildApp('/api/jobs', require('../../routes/jobs'));
+
+// Stored jobs of the test user, looked up by id; saves never reach the database
+const stored = (...titles) => {
+  const jobs = titles.map(title => Job.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    title,
+    company: 'Acme',
+    status: 'applied',
+    stage: 'applied',
+    applicationDate: new Date('2026-10-01T00:00:00.000Z')
+  }));
+  jest.spyOn(Job, 'findById').mockImplementation(async id =>
+    jobs.find(job => job._id.equals(id)) || null
+  );
+  jest.spyOn(Job.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Job.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  return jobs;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/jobs/import', () => {
+  const csv = 'Title,Company\nEngineer,Acme\n';
+
+  it.each(['null', '"Title"', '42', '["title"]'])('rejects %s as the column mapping', async (mapping) => {
+    const res = await request(app)
+      .post('/api/jobs/import')
+      .field('mapping', mapping)
+      .attach('file', Buffer.from(csv), { filename: 'jobs.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Invalid column mapping' });
+  });
+});
+
+describe('POST /api/jobs/:id/merge', () => {
+  const merge = (job, source) => request(app)
+    .post(`/api/jobs/${job._id}/merge`)
+    .send({ sourceId: source._id.toString() });
+
+  beforeEach(() => {
+    jest.spyOn(Contact, 'relink').mockResolvedValue();
+  });
+
+  it('moves the timeline to the surviving job and logs the merge', async () => {
+    const [job, source] = stored('Engineer', 'Software Engineer');
+    const moveActivity = jest.spyOn(Activity, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(Task, 'moveToJob').mockResolvedValue(0);
+
+    const res = await merge(job, source);
+
+    expect(res.status).toBe(200);
+    expect(source.deletedAt).toBeInstanceOf(Date);
+    expect(moveActivity).toHaveBeenCalledWith({ job: source._id }, { $set: { job: job._id } });
+    expect(job.$locals.activities).toContainEqual(expect.objectContaining({
+      type: 'merged',
+      details: expect.objectContaining({ sourceId: source._id, title: 'Software Engineer' })
+    }));
+  });
+
+  describe('with tasks', () => {
+    const sourceTasks = ['Send thank-you note', 'Prep system design', 'Prep System Design', 'Follow up']
+      .map(title => ({ _id: new mongoose.Types.ObjectId(), title, completedAt: null }));
+
+    // The target already has `count` tasks, one of them the thank-you note
+    const tasksOnTarget = (count) => {
+      jest.spyOn(Activity, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Task, 'find').mockReturnValue(mockQuery(sourceTasks));
+      jest.spyOn(Task, 'distinct').mockResolvedValue(['send thank-you note']);
+      jest.spyOn(Task, 'countDocuments').mockResolvedValue(count);
+      return jest.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    };
+
+    it("moves the source's tasks, skipping titles the job already has", async () => {
+      const [job, source] = stored('Engineer', 'Software Engineer');
+      const moveTasks = tasksOnTarget(1);
+
+      const res = await merge(job, source);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.movedTasks).toBe(2);
+      expect(moveTasks).toHaveBeenCalledWith(
+        { _id: { $in: [sourceTasks[1]._id, sourceTasks[3]._id] } },
+        { $set: { job: job._id } }
+      );
+    });
+
+    it('stops at the task limit', async () => {
+      const [job, source] = stored('Engineer', 'Software Engineer');
+      const moveTasks = tasksOnTarget(MAX_TASKS_PER_JOB - 1);
+
+      const res = await merge(job, source);
+
+      expect(res.body.data.movedTasks).toBe(1);
+      expect(moveTasks).toHaveBeenCalledWith({ _id: { $in: [sourceTasks[1]._id] } }, { $set: { job: job._id } });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const storage = require('../../services/storage');
+const { buildApp } = require('./helpers');
+
+const mockUser = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'secret123'
+});
+
+jest.mock('../../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+// Keep uploads off the disk
+jest.mock('../../services/storage', () => ({
+  ...jest.requireActual('../../services/storage'),
+  storeUpload: jest.fn(async (file, key, url) => ({ filename: key, originalName: file.originalname, url })),
+  removeStoredFiles: jest.fn(async () => {})
+}));
+
+const app = buildApp('/api/users', require('../../routes/users'));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/users/resume', () => {
+  const upload = () => request(app)
+    .post('/api/users/resume')
+    .attach('resume', Buffer.from('%PDF-1.4'), { filename: 'resume.pdf', contentType: 'application/pdf' });
+
+  it('removes the stored file when the user cannot be updated', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(() => {
+      throw new Error('Database unavailable');
+    });
+
+    const res = await upload();
+
+    expect(res.status).toBe(500);
+    const [, key] = storage.storeUpload.mock.calls[0];
+    expect(storage.removeStoredFiles).toHaveBeenCalledWith([key]);
+  });
+
+  it('keeps the stored file once the user is updated', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ select: async () => mockUser });
+
+    const res = await upload();
+
+    expect(res.status).toBe(200);
+    expect(storage.removeStoredFiles).not.toHaveBeenCalled();
+  });
+});
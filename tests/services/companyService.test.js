@@ -0,0 +1,25 @@
+const { normalizeName, toMatchKeys } = require('../../services/companyService');
+
+describe('toMatchKeys', () => {
+  it('drops case, punctuation and legal suffixes', () => {
+    expect(toMatchKeys(['Acme, Inc.', 'ACME Corp', 'acme'])).toEqual(['acme']);
+  });
+
+  it('drops accents and keeps letters of any script', () => {
+    expect(toMatchKeys(['Société Générale SA', '株式会社メルカリ', 'Ørsted'])).toEqual([
+      'societe generale',
+      '株式会社メルカリ',
+      'ørsted'
+    ]);
+  });
+
+  it('leaves out names without letters or digits', () => {
+    expect(toMatchKeys(['!!!', '', null, 'Inc.'])).toEqual([]);
+  });
+});
+
+describe('normalizeName', () => {
+  it('normalizes free text word by word, as calendar matching uses it', () => {
+    expect(normalizeName('Interview: Müller GmbH × 株式会社メルカリ (Zoom)')).toBe('interview muller 株式会社メルカリ zoom');
+  });
+});
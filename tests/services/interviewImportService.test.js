@@ -0,0 +1,26 @@
+const { MAX_INTERVIEW_MINUTES, buildInterviewSuggestions } = require('../../services/interviewImportService');
+
+const start = new Date('2026-10-20T15:00:00.000Z');
+
+// A timed calendar event lasting `minutes`
+const eventOf = (minutes) => ({
+  uid: `event-${minutes}`,
+  summary: 'Interview with Acme',
+  start,
+  end: new Date(start.getTime() + minutes * 60 * 1000),
+  allDay: false
+});
+
+const durationOf = (event) => buildInterviewSuggestions([event], [])[0].interview.durationMinutes;
+
+describe('buildInterviewSuggestions', () => {
+  it('takes the duration from the event', () => {
+    expect(durationOf(eventOf(45))).toBe(45);
+    expect(durationOf(eventOf(MAX_INTERVIEW_MINUTES))).toBe(MAX_INTERVIEW_MINUTES);
+  });
+
+  it('uses the default duration for all-day and multi-day events', () => {
+    expect(durationOf({ ...eventOf(MAX_INTERVIEW_MINUTES), allDay: true })).toBe(60);
+    expect(durationOf(eventOf(3 * MAX_INTERVIEW_MINUTES))).toBe(60);
+  });
+});
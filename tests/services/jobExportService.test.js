@@ -0,0 +1,89 @@
+const { Writable } = require('stream');
+const { flattenJob, streamJobExport } = require('../../services/jobExportService');
+
+const jobs = Array.from({ length: 50 }, (_, index) => ({
+  title: `Engineer ${index}`,
+  company: 'Acme',
+  status: 'applied',
+  tags: ['remote'],
+  interviewDates: []
+}));
+
+// Lean-job cursor over an array, recording whether it was closed
+const fakeCursor = (docs) => ({
+  closed: false,
+  read: 0,
+  async * [Symbol.asyncIterator]() {
+    for (const doc of docs) {
+      this.read += 1;
+      yield doc;
+    }
+  },
+  async close() {
+    this.closed = true;
+  }
+});
+
+// Response stand-in; a stalled one never finishes a write, like a client
+// that stopped reading
+const fakeResponse = ({ stalled = false } = {}) => {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      if (!stalled) callback();
+    }
+  });
+  res.status = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  res.body = () => chunks.join('');
+  return res;
+};
+
+describe('flattenJob', () => {
+  it('flattens tags, interviews and the salary range', () => {
+    const row = flattenJob({
+      title: 'Engineer',
+      tags: ['remote', 'senior'],
+      interviewDates: [{ date: '2026-10-01T10:00:00.000Z', type: 'phone', outcome: 'passed' }],
+      salaryRange: { min: 100000, max: 120000, currency: 'USD', period: 'annual' }
+    });
+
+    expect(row).toMatchObject({
+      title: 'Engineer',
+      tags: 'remote; senior',
+      interviewCount: 1,
+      interviews: '2026-10-01T10:00:00.000Z | phone | passed',
+      salaryMin: 100000,
+      salaryMax: 120000,
+      salaryCurrency: 'USD',
+      salaryPeriod: 'annual',
+      location: null
+    });
+  });
+});
+
+describe('streamJobExport', () => {
+  it.each(['csv', 'json'])('streams every job as %s and closes the cursor', async (format) => {
+    const cursor = fakeCursor(jobs);
+    const res = fakeResponse();
+
+    await streamJobExport(cursor, format, res);
+
+    expect(res.body()).toContain('Engineer 49');
+    expect(cursor.closed).toBe(true);
+  });
+
+  it.each(['csv', 'json'])('stops a %s export when the client disconnects', async (format) => {
+    const cursor = fakeCursor(jobs);
+    const res = fakeResponse({ stalled: true });
+
+    const exported = streamJobExport(cursor, format, res);
+    setImmediate(() => res.destroy());
+    await exported;
+
+    expect(cursor.closed).toBe(true);
+    expect(cursor.read).toBeLessThan(jobs.length);
+  });
+});
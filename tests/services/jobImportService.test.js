@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const {
+  buildDefaultMapping,
+  validateMapping,
+  mapRecord,
+  validateRow
+} = require('../../services/jobImportService');
+
+// A user whose pipeline has no stage keyed "applied"
+const user = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'secret123',
+  pipelineStages: [
+    { key: 'sourcing', name: 'Sourcing', category: 'applied' },
+    { key: 'interviewing', name: 'Interviewing', category: 'interviewing' },
+    { key: 'offered', name: 'Offered', category: 'offered' },
+    { key: 'rejected', name: 'Rejected', category: 'rejected' },
+    { key: 'withdrawn', name: 'Withdrawn', category: 'withdrawn' }
+  ]
+});
+
+describe('buildDefaultMapping', () => {
+  it('matches field names and common header aliases', () => {
+    expect(buildDefaultMapping(['Position', 'Company Name', 'Date Applied', 'Whatever']))
+      .toEqual({ Position: 'title', 'Company Name': 'company', 'Date Applied': 'applicationDate' });
+  });
+});
+
+describe('validateMapping', () => {
+  it('reports missing columns and unknown fields', () => {
+    expect(validateMapping({ Title: 'title', Nope: 'company', Pay: 'password' }, ['Title', 'Pay'])).toEqual([
+      'Column "Nope" does not exist in the file',
+      'Column "Pay" maps to unknown field "password"'
+    ]);
+  });
+});
+
+describe('mapRecord', () => {
+  it('splits tags, lower-cases status and normalizes the source', () => {
+    expect(mapRecord(
+      { Title: 'Engineer', Tags: 'remote; senior', Status: 'Interviewing', Source: 'LinkedIn' },
+      { Title: 'title', Tags: 'tags', Status: 'status', Source: 'source' }
+    )).toEqual({
+      title: 'Engineer',
+      tags: ['remote', 'senior'],
+      status: 'interviewing',
+      source: 'job-board',
+      sourceDetail: 'LinkedIn'
+    });
+  });
+});
+
+describe('validateRow', () => {
+  const row = { title: 'Engineer', company: 'Acme', applicationDate: '2026-10-01T00:00:00.000Z' };
+
+  it("places rows without a status in the user's first applied stage", async () => {
+    const { data, errors } = await validateRow(row, [], user);
+
+    expect(errors).toEqual([]);
+    expect(data).toMatchObject({ status: 'applied', stage: 'sourcing' });
+  });
+
+  it('resolves a status to its stage', async () => {
+    const { data } = await validateRow({ ...row, status: 'interviewing' }, [], user);
+
+    expect(data).toMatchObject({ status: 'interviewing', stage: 'interviewing' });
+  });
+
+  it('rejects unknown stages', async () => {
+    const { errors } = await validateRow({ ...row, stage: 'nowhere' }, [], user);
+
+    expect(errors).toEqual([{ field: 'stage', message: 'Unknown pipeline stage: nowhere' }]);
+  });
+
+  it('reports model validation errors', async () => {
+    const { errors } = await validateRow({ ...row, title: undefined }, [], user);
+
+    expect(errors.map(error => error.field)).toContain('title');
+  });
+});
@@ -0,0 +1,145 @@
+const { htmlToText, parseJobPosting } = require('../../services/jobPostingParser');
+
+const jsonLdPage = (posting) => `<html><head>
+<script type="application/ld+json">${JSON.stringify(posting)}</script>
+</head><body><h1>Ignored heading</h1></body></html>`;
+
+describe('parseJobPosting', () => {
+  describe('with JobPosting JSON-LD', () => {
+    const posting = {
+      '@context': 'https://schema.org',
+      '@type': 'JobPosting',
+      title: 'Backend Engineer',
+      hiringOrganization: { '@type': 'Organization', name: 'Acme' },
+      jobLocation: { '@type': 'Place', address: { addressLocality: 'Berlin', addressCountry: 'DE' } },
+      employmentType: 'FULL_TIME',
+      baseSalary: {
+        '@type': 'MonetaryAmount',
+        currency: 'EUR',
+        value: { '@type': 'QuantitativeValue', minValue: 70000, maxValue: 90000, unitText: 'YEAR' }
+      },
+      description: '<p>Build APIs</p>',
+      datePosted: '2026-09-01',
+      url: 'https://acme.example/jobs/1'
+    };
+
+    it('maps the posting to job fields', () => {
+      const { source, draft, missing, details } = parseJobPosting(jsonLdPage(posting));
+
+      expect(source).toBe('json-ld');
+      expect(draft).toMatchObject({
+        title: 'Backend Engineer',
+        company: 'Acme',
+        location: 'Berlin, DE',
+        salary: 'EUR 70,000-90,000 / year',
+        salaryRange: { min: 70000, max: 90000, currency: 'EUR', period: 'annual' },
+        description: 'Build APIs',
+        jobUrl: 'https://acme.example/jobs/1',
+        tags: ['full-time'],
+        status: 'applied'
+      });
+      expect(missing).toEqual([]);
+      expect(details).toEqual({ datePosted: '2026-09-01', validThrough: null });
+    });
+
+    it('finds the posting inside an @graph', () => {
+      const { draft } = parseJobPosting(jsonLdPage({ '@graph': [{ '@type': 'WebPage' }, posting] }));
+
+      expect(draft.title).toBe('Backend Engineer');
+    });
+
+    it('prefers the given url and drops non-http ones', () => {
+      expect(parseJobPosting(jsonLdPage(posting), { url: 'https://example.com/a' }).draft.jobUrl)
+        .toBe('https://example.com/a');
+      expect(parseJobPosting(jsonLdPage({ ...posting, url: 'javascript:alert(1)' })).draft.jobUrl)
+        .toBeUndefined();
+    });
+
+    it('truncates fields to the job limits', () => {
+      const { draft, truncated } = parseJobPosting(jsonLdPage({ ...posting, title: 'x'.repeat(150) }));
+
+      expect(draft.title.length).toBeLessThanOrEqual(100);
+      expect(truncated).toEqual(['title']);
+    });
+  });
+
+  describe('without JSON-LD', () => {
+    const page = `<html><head>
+<title>Senior Developer - Globex | Careers</title>
+<!-- <h1>Commented out</h1> -->
+<style>h1 { color: red }</style>
+</head><body>
+<script>document.write("<h1>Scripted</h1>");</script>
+<h1>Senior Developer at Globex</h1>
+<p>Location: Austin, TX</p>
+<p>Salary: $120k - $150k per year</p>
+<p>We build things &amp; ship them</p>
+<h2>Requirements</h2>
+<ul><li>Node.js</li><li>MongoDB</li></ul>
+</body></html>`;
+
+    it('pieces the draft together from headings and labelled lines', () => {
+      const { source, draft, missing } = parseJobPosting(page);
+
+      expect(source).toBe('heuristic');
+      expect(draft).toMatchObject({
+        title: 'Senior Developer',
+        company: 'Globex',
+        location: 'Austin, TX',
+        salary: '$120k - $150k per year',
+        salaryRange: { min: 120000, max: 150000, currency: 'USD', period: 'annual' },
+        requirements: '- Node.js\n- MongoDB'
+      });
+      expect(draft.description).toContain('We build things & ship them');
+      expect(missing).toEqual([]);
+    });
+
+    it('ignores comments, scripts and styles', () => {
+      const { draft } = parseJobPosting(page);
+
+      expect(draft.description).not.toMatch(/Commented out|Scripted|color/);
+    });
+
+    it('reads labelled plain text', () => {
+      const { draft } = parseJobPosting('Job Title: QA Engineer\nCompany: Initech\nWe are a fully remote team');
+
+      expect(draft).toMatchObject({ title: 'QA Engineer', company: 'Initech', location: 'Remote' });
+    });
+
+    it('lists the required fields it could not find', () => {
+      expect(parseJobPosting('<p>We are hiring</p>').missing).toEqual(['title', 'company']);
+    });
+  });
+
+  it('stays fast on adversarial input', () => {
+    const inputs = [
+      '<'.repeat(100000),
+      '<script'.repeat(14000),
+      '<!--'.repeat(25000),
+      `<li${' '.repeat(99990)}`,
+      `Title:${' '.repeat(99990)}x`,
+      '&#'.repeat(50000)
+    ];
+
+    inputs.forEach(input => {
+      const started = Date.now();
+      parseJobPosting(input);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps paragraphs and list items on their own lines', () => {
+    expect(htmlToText('<p>One</p><p>Two<br>Three</p><ul><li>A</li><li>B</li></ul>'))
+      .toBe('One\nTwo\nThree\n- A\n- B');
+  });
+
+  it('decodes named and numeric entities', () => {
+    expect(htmlToText('<p>&lt;b&gt; &amp; &#8364; &#x1F680;</p>')).toBe('<b> & € 🚀');
+  });
+
+  it('leaves out-of-range code points as written', () => {
+    expect(htmlToText('<p>&#x110000; &#99999999999;</p>')).toBe('&#x110000; &#99999999999;');
+  });
+});
@@ -0,0 +1,95 @@
+const { annualCompensation, parseWeights, compareOffers, DEFAULT_WEIGHTS } = require('../../services/offerService');
+
+const now = new Date('2026-10-01T00:00:00Z');
+
+const job = (id, offer) => ({
+  _id: id,
+  title: `Engineer ${id}`,
+  company: `Company ${id}`,
+  offer: { status: 'pending', period: 'annual', ...offer }
+});
+
+describe('annualCompensation', () => {
+  it('annualizes the base and counts the sign-on bonus in the first year only', () => {
+    expect(annualCompensation({
+      baseSalary: 5000,
+      period: 'monthly',
+      annualBonus: 6000,
+      equity: { annualValue: 10000 },
+      benefitsValue: 4000,
+      signOnBonus: 15000
+    })).toEqual({
+      base: 60000,
+      bonus: 6000,
+      equity: 10000,
+      benefits: 4000,
+      signOnBonus: 15000,
+      totalCompensation: 80000,
+      firstYearTotal: 95000
+    });
+  });
+});
+
+describe('parseWeights', () => {
+  it('reads criterion:weight pairs', () => {
+    expect(parseWeights(['totalCompensation:3', ' culture : 2 '])).toEqual({ totalCompensation: 3, culture: 2 });
+  });
+
+  it('falls back to the default weights', () => {
+    expect(parseWeights([])).toEqual(DEFAULT_WEIGHTS);
+  });
+});
+
+describe('compareOffers', () => {
+  const weights = { totalCompensation: 1, culture: 1 };
+
+  it('ranks offers by weighted score', () => {
+    const { offers, unconverted } = compareOffers([
+      job('a', { baseSalary: 100000, ratings: { culture: 5 } }),
+      job('b', { baseSalary: 150000, ratings: { culture: 1 } })
+    ], { currency: 'USD', weights, now });
+
+    expect(unconverted).toEqual([]);
+    expect(offers.map(offer => [offer.jobId, offer.rank, offer.score])).toEqual([['a', 1, 83.3], ['b', 2, 60]]);
+    expect(offers.map(offer => offer.behindBestTotal)).toEqual([50000, 0]);
+  });
+
+  it('scores only the criteria an offer is rated on', () => {
+    const { offers } = compareOffers([job('a', { baseSalary: 100000 })], { currency: 'USD', weights, now });
+
+    expect(offers[0]).toMatchObject({ score: 100, unrated: ['culture'] });
+    expect(offers[0].ratings).toEqual({ culture: null, growth: null, workLifeBalance: null, location: null });
+  });
+
+  it('converts compensation into the requested currency', () => {
+    const { offers } = compareOffers([
+      job('a', { baseSalary: 100000, currency: 'EUR' }),
+      job('b', { baseSalary: 100000, currency: 'USD' })
+    ], { currency: 'USD', weights: { totalCompensation: 1 }, now });
+
+    expect(offers.map(offer => [offer.jobId, offer.compensation.totalCompensation])).toEqual([['a', 108000], ['b', 100000]]);
+    expect(offers[0].originalCurrency).toBe('EUR');
+  });
+
+  it('sets aside offers in a currency without a rate', () => {
+    const { offers, unconverted } = compareOffers([
+      job('a', { baseSalary: 100000 }),
+      job('b', { baseSalary: 100000, currency: 'XYZ' })
+    ], { currency: 'USD', weights, now });
+
+    expect(offers.map(offer => offer.jobId)).toEqual(['a']);
+    expect(unconverted).toEqual([expect.objectContaining({ jobId: 'b', originalCurrency: 'XYZ' })]);
+  });
+
+  it('reports deadlines', () => {
+    const { offers } = compareOffers([
+      job('a', { baseSalary: 100000, expiresAt: new Date('2026-10-03T12:00:00Z') }),
+      job('b', { baseSalary: 90000, expiresAt: new Date('2026-09-30T00:00:00Z') })
+    ], { currency: 'USD', weights, now });
+
+    expect(offers.map(offer => [offer.jobId, offer.daysUntilDeadline, offer.expired])).toEqual([
+      ['a', 3, false],
+      ['b', -1, true]
+    ]);
+  });
+});
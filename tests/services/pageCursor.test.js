@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../../services/pageCursor');
+const { AppError } = require('../../middleware/error');
+
+const sortKeys = [
+  { field: 'occurredAt', dir: -1 },
+  { field: '_id', dir: -1 }
+];
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips dates and ObjectIds', () => {
+    const doc = { occurredAt: new Date('2026-10-01T08:00:00Z'), _id: new mongoose.Types.ObjectId() };
+
+    const [occurredAt, id] = decodeCursor(sortKeys, encodeCursor(sortKeys, doc));
+
+    expect(occurredAt).toEqual(doc.occurredAt);
+    expect(id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(id.equals(doc._id)).toBe(true);
+  });
+
+  it('reads nested fields and records missing ones as null', () => {
+    const keys = [{ field: 'offer.expiresAt', dir: 1 }, { field: '_id', dir: 1 }];
+
+    expect(decodeCursor(keys, encodeCursor(keys, { _id: 'x', offer: {} }))).toEqual([null, 'x']);
+    expect(decodeCursor(keys, encodeCursor(keys, { _id: 'y' }))).toEqual([null, 'y']);
+  });
+
+  it('rejects cursors that are not ours', () => {
+    expect(() => decodeCursor(sortKeys, 'not a cursor')).toThrow(AppError);
+    expect(() => decodeCursor(sortKeys, 'not a cursor')).toThrow('Invalid pagination cursor');
+  });
+
+  it('rejects a cursor made for another sort', () => {
+    const cursor = encodeCursor([{ field: 'title', dir: 1 }, { field: '_id', dir: 1 }], { title: 'A', _id: 'x' });
+
+    expect(() => decodeCursor(sortKeys, cursor)).toThrow('Pagination cursor does not match the requested sort');
+  });
+
+  it('fails with a 400', () => {
+    try {
+      decodeCursor(sortKeys, '');
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+    expect.assertions(1);
+  });
+});
+
+describe('buildCursorFilter', () => {
+  it('matches documents sorted after the position, descending', () => {
+    const at = new Date('2026-10-01T08:00:00Z');
+
+    expect(buildCursorFilter(sortKeys, [at, 'id1'])).toEqual({
+      $or: [
+        { occurredAt: { $not: { $gte: at } } },
+        { occurredAt: at, _id: { $not: { $gte: 'id1' } } }
+      ]
+    });
+  });
+
+  it('matches documents sorted after the position, ascending', () => {
+    const keys = [{ field: 'title', dir: 1 }, { field: '_id', dir: 1 }];
+
+    expect(buildCursorFilter(keys, ['Engineer', 'id1'])).toEqual({
+      $or: [
+        { title: { $gt: 'Engineer' } },
+        { title: 'Engineer', _id: { $gt: 'id1' } }
+      ]
+    });
+  });
+
+  it('puts missing values first ascending and last descending', () => {
+    expect(buildCursorFilter([{ field: 'dueDate', dir: 1 }, { field: '_id', dir: 1 }], [null, 'id1'])).toEqual({
+      $or: [
+        { dueDate: { $ne: null } },
+        { dueDate: null, _id: { $gt: 'id1' } }
+      ]
+    });
+    expect(buildCursorFilter([{ field: 'dueDate', dir: -1 }, { field: '_id', dir: -1 }], [null, 'id1'])).toEqual({
+      $or: [{ dueDate: null, _id: { $not: { $gte: 'id1' } } }]
+    });
+  });
+
+  it('matches nothing when no value can sort after the position', () => {
+    expect(buildCursorFilter([{ field: 'dueDate', dir: -1 }], [null])).toEqual({ _id: { $exists: false } });
+  });
+});
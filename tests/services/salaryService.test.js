@@ -0,0 +1,66 @@
+const { parseSalary, annualize } = require('../../services/salaryService');
+
+describe('parseSalary', () => {
+  it.each([
+    ['$120k - $150k', { min: 120000, max: 150000, currency: 'USD', period: 'annual' }],
+    ['EUR 70,000-90,000 / year', { min: 70000, max: 90000, currency: 'EUR', period: 'annual' }],
+    ['$45/hr', { min: 45, max: 45, currency: 'USD', period: 'hourly' }],
+    ['70.000 €', { min: 70000, max: 70000, currency: 'EUR', period: 'annual' }],
+    ['£4,000 per month', { min: 4000, max: 4000, currency: 'GBP', period: 'monthly' }],
+    ['CA$90k-110k', { min: 90000, max: 110000, currency: 'CAD', period: 'annual' }],
+    ['1.2M JPY', { min: 1200000, max: 1200000, currency: 'JPY', period: 'annual' }]
+  ])('parses %s', (text, range) => {
+    expect(parseSalary(text)).toEqual(range);
+  });
+
+  it('applies a trailing suffix to both ends', () => {
+    expect(parseSalary('120-150k')).toMatchObject({ min: 120000, max: 150000 });
+  });
+
+  it('reads open-ended ranges', () => {
+    expect(parseSalary('Up to £60,000')).toEqual({ min: undefined, max: 60000, currency: 'GBP', period: 'annual' });
+    expect(parseSalary('$100k+')).toEqual({ min: 100000, max: undefined, currency: 'USD', period: 'annual' });
+    expect(parseSalary('from 80000')).toMatchObject({ min: 80000, max: undefined });
+  });
+
+  it('treats small amounts without a period as hourly', () => {
+    expect(parseSalary('35-40')).toMatchObject({ min: 35, max: 40, period: 'hourly' });
+  });
+
+  it('skips 401k and years of experience', () => {
+    expect(parseSalary('Includes 401k match, $90,000')).toMatchObject({ min: 90000, max: 90000 });
+    expect(parseSalary('3+ years, $80,000')).toMatchObject({ min: 80000 });
+  });
+
+  it('defaults to USD', () => {
+    expect(parseSalary('95,000').currency).toBe('USD');
+  });
+
+  it('returns null without an amount', () => {
+    expect(parseSalary('Competitive')).toBeNull();
+    expect(parseSalary('')).toBeNull();
+    expect(parseSalary(undefined)).toBeNull();
+  });
+});
+
+describe('annualize', () => {
+  it('multiplies by the periods in a year', () => {
+    expect(annualize({ min: 45, max: 50, period: 'hourly' })).toEqual({ annualMin: 93600, annualMax: 104000 });
+    expect(annualize({ min: 300, max: 400, period: 'daily' })).toEqual({ annualMin: 78000, annualMax: 104000 });
+    expect(annualize({ min: 2000, max: 2000, period: 'weekly' })).toEqual({ annualMin: 104000, annualMax: 104000 });
+  });
+
+  it('treats a range without a period as annual', () => {
+    expect(annualize({ min: 100000, max: 120000 })).toEqual({ annualMin: 100000, annualMax: 120000 });
+  });
+
+  it('uses the known end for both ends of a one-sided range', () => {
+    expect(annualize({ min: 100000 })).toEqual({ annualMin: 100000, annualMax: 100000 });
+    expect(annualize({ max: 5000, period: 'monthly' })).toEqual({ annualMin: 60000, annualMax: 60000 });
+  });
+
+  it('leaves an empty range unset', () => {
+    expect(annualize(null)).toEqual({ annualMin: undefined, annualMax: undefined });
+    expect(annualize({})).toEqual({ annualMin: undefined, annualMax: undefined });
+  });
+});